@@ -1,15 +1,147 @@
 /* ========== Background Script - 简化架构 ========== */
 
+importScripts('modules/selector-schema.js');
+
 const META_URL = 'https://api.tiktokrepostremover.com/cdn/selectors';
 const CONTENT_SCRIPTS = [
+  "modules/selector-schema.js",
   "modules/config.js",
   "modules/state-store.js",
   "modules/message-bus.js",
+  "modules/locators.js",
   "modules/ui.js",
+  "modules/filters.js",
+  "modules/repost-state.js",
+  "modules/targets.js",
+  "modules/throttle.js",
+  "modules/challenge-detector.js",
+  "modules/diagnostics.js",
   "modules/workflow.js",
   "main.js"
 ];
 
+/**
+ * 已删除条目存储 - IndexedDB
+ * 条目数量可能上千，不放进内存状态，也不随 STATE_CHANGED 广播；按页查询
+ */
+class RemovedStore {
+  constructor() {
+    this.DB_NAME = 'cleartok';
+    this.DB_VERSION = 1;
+    this.STORE = 'removedItems';
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.STORE, { keyPath: 'seq', autoIncrement: true });
+          store.createIndex('url', 'url', { unique: false });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 在一个事务中执行操作，事务完成后返回 fn 的结果
+   */
+  async transaction(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE, mode);
+      let result;
+      Promise.resolve(fn(tx.objectStore(this.STORE))).then(value => { result = value; }, error => {
+        try { tx.abort(); } catch (_) { /* 事务可能已结束 */ }
+        reject(error);
+      });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async add(item) {
+    const { seq, ...entry } = item;
+    return this.transaction('readwrite', store => this.request(store.add(entry)));
+  }
+
+  async addAll(items) {
+    return this.transaction('readwrite', store => {
+      items.forEach(({ seq, ...entry }) => store.add(entry));
+    });
+  }
+
+  async count() {
+    return this.transaction('readonly', store => this.request(store.count()));
+  }
+
+  /**
+   * 按删除顺序分页读取
+   * @returns {Promise<{items: Array<object>, total: number}>}
+   */
+  async getPage(offset = 0, limit = 50) {
+    return this.transaction('readonly', async store => {
+      const total = await this.request(store.count());
+      const items = [];
+      await new Promise((resolve, reject) => {
+        let skipped = offset === 0;
+        const cursorRequest = store.openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor || items.length >= limit) return resolve();
+          if (!skipped) {
+            skipped = true;
+            cursor.advance(offset);
+            return;
+          }
+          items.push(cursor.value);
+          cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+      });
+      return { items, total };
+    });
+  }
+
+  async getAll() {
+    return this.transaction('readonly', store => this.request(store.getAll()));
+  }
+
+  async getByUrls(urls) {
+    const wanted = new Set(urls);
+    const all = await this.getAll();
+    return all.filter(item => wanted.has(item.url));
+  }
+
+  async deleteByUrl(url) {
+    return this.transaction('readwrite', async store => {
+      const keys = await this.request(store.index('url').getAllKeys(url));
+      keys.forEach(key => store.delete(key));
+    });
+  }
+
+  async clear() {
+    return this.transaction('readwrite', store => this.request(store.clear()));
+  }
+}
+
+const removedStore = new RemovedStore();
+
 /**
  * 中央状态管理 - Background 作为单一数据源
  */
@@ -27,7 +159,9 @@ class StateManager {
         totalReposts: 0,
         processedVideos: 0,
         removedVideos: 0,
-        skippedVideos: 0
+        skippedVideos: 0,
+        restoredVideos: 0,
+        failedVideos: 0
       },
       currentVideo: {
         index: 0,
@@ -35,11 +169,17 @@ class StateManager {
         author: '',
         url: ''
       },
-      removedList: []
+      // 最近删除的一条；完整列表在 removedStore（IndexedDB）中
+      lastRemoved: null
     };
 
+    // 状态版本：每次 updateState 递增，STATE_CHANGED 只携带增量补丁
+    // epoch 区分 service worker 的每次启动（重启后 revision 从 0 开始）
+    this.epoch = `${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    this.revision = 0;
+
     // 启动时从 storage 恢复
-    this.loadFromStorage();
+    this.ready = this.loadFromStorage();
 
     // 定期持久化到 storage（每 30 秒）
     setInterval(() => this.saveToStorage(), 30000);
@@ -49,12 +189,16 @@ class StateManager {
     try {
       const result = await chrome.storage.local.get('cleartokState');
       if (result.cleartokState) {
+        // 旧版本把 removedList 存在 storage 中，迁移到 IndexedDB
+        const { removedList, ...persisted } = result.cleartokState;
+        if (Array.isArray(removedList) && removedList.length > 0) {
+          await removedStore.addAll(removedList);
+          await chrome.storage.local.set({ cleartokState: persisted });
+        }
+
         // 合并存储的状态，但不覆盖运行时状态
-        Object.assign(this.state, result.cleartokState);
-        // 重置运行时标志
-        this.state.process.isRunning = false;
-        this.state.process.isPaused = false;
-        this.state.process.tabId = null;
+        const { process, ...restored } = persisted;
+        this.updateState(restored);
       }
     } catch (error) {
       console.error('[ YukiRem BG] Failed to load state:', error);
@@ -67,7 +211,7 @@ class StateManager {
       await chrome.storage.local.set({
         cleartokState: {
           stats: this.state.stats,
-          removedList: this.state.removedList
+          lastRemoved: this.state.lastRemoved
         }
       });
     } catch (error) {
@@ -77,7 +221,15 @@ class StateManager {
 
   updateState(updates) {
     this.state = this.deepMerge(this.state, updates);
-    this.broadcastState();
+    this.revision++;
+    this.broadcastState(updates);
+  }
+
+  /**
+   * 完整状态及其版本，用于 GET_STATE 和接收端重新同步
+   */
+  getSnapshot() {
+    return { ...this.state, epoch: this.epoch, revision: this.revision };
   }
 
   deepMerge(target, source) {
@@ -92,10 +244,17 @@ class StateManager {
     return result;
   }
 
-  broadcastState() {
+  /**
+   * 广播增量补丁；接收端按 revision 顺序用 deepMerge 应用，发现缺口时用 GET_STATE 重新同步
+   */
+  broadcastState(patch) {
     const message = {
       type: 'STATE_CHANGED',
-      payload: this.state,
+      payload: {
+        epoch: this.epoch,
+        revision: this.revision,
+        patch
+      },
       timestamp: Date.now()
     };
 
@@ -146,7 +305,7 @@ class StateManager {
         author: '',
         url: ''
       }
-      // 注意：不重置 stats 和 removedList，让用户可以继续查看和导出
+      // 注意：不重置 stats 和已删除条目，让用户可以继续查看和导出
     };
 
     this.updateState(updates);
@@ -159,6 +318,532 @@ class StateManager {
 // 创建状态管理器实例
 const stateManager = new StateManager();
 
+/**
+ * 运行历史 - 每次运行保存为一条带 ID 的记录
+ * stateManager 只保留最近一次运行的数据，这里长期保存多次运行
+ */
+class RunHistory {
+  constructor() {
+    this.STORAGE_KEY = 'cleartokRunHistory';
+    this.MAX_RUNS = 100;
+
+    this.runs = [];          // 已结束的运行，最新的在前
+    this.current = null;     // 正在进行的运行
+    this.finishing = Promise.resolve(); // 最近一次 finish() 写入历史的过程
+
+    this.ready = this.loadFromStorage();
+  }
+
+  async loadFromStorage() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      this.runs = Array.isArray(result[this.STORAGE_KEY]) ? result[this.STORAGE_KEY] : [];
+    } catch (error) {
+      console.error('[ YukiRem BG] Failed to load run history:', error);
+    }
+  }
+
+  async saveToStorage() {
+    try {
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: this.runs });
+    } catch (error) {
+      console.error('[ YukiRem BG] Failed to save run history:', error);
+    }
+  }
+
+  /**
+   * 开始记录一次运行；上一次未正常结束的运行按 error 结束
+   * @param {'remove'|'scan'|'restore'} mode
+   * @param {string} target - 清理目标（reposts/likes/favorites/following）
+   * @param {string|null} username - 运行所属的账号；默认为侧边栏选中的账号（续传时沿用检查点里的账号）
+   */
+  async begin(mode, target = 'reposts', username = accountManager.selected) {
+    if (this.current) {
+      await this.finish('error');
+    }
+    this.current = {
+      id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      mode,
+      target,
+      username,
+      startTime: Date.now(),
+      endTime: null,
+      reason: null,
+      counts: { total: 0, processed: 0, removed: 0, skipped: 0, restored: 0 },
+      removedItems: [],
+      restoredItems: [],
+      failedItems: []
+    };
+    return this.current.id;
+  }
+
+  recordItem(type, item) {
+    if (!this.current) return;
+    const { title, author, url, videoId } = item || {};
+    const entry = { title, author, url, videoId, at: Date.now() };
+    if (type === 'removed') this.current.removedItems.push(entry);
+    if (type === 'restored') this.current.restoredItems.push(entry);
+    if (type === 'failed') this.current.failedItems.push(entry);
+  }
+
+  /**
+   * 把运行后核对的结果补记到对应的运行上
+   * 核对结果可能在 finish() 写入存储之前到达，先等它完成再按 ID 查找
+   */
+  async recordReconcile({ runId = null, verifiedCount = 0, stillPresent = [] } = {}) {
+    await this.ready;
+    await this.finishing;
+    const run = runId ? this.runs.find(item => item.id === runId) : this.runs[0];
+    if (!run) return;
+    const present = new Set(stillPresent.map(item => item.url));
+    run.removedItems = run.removedItems.filter(item => !present.has(item.url));
+    run.counts = { ...run.counts, removed: run.removedItems.length, verified: verifiedCount, stillPresent: stillPresent.length };
+    await this.saveToStorage();
+  }
+
+  /**
+   * 结束当前运行并持久化
+   * @param {'complete'|'error'|'tab_closed'|'limit'} reason
+   */
+  async finish(reason) {
+    if (!this.current) return;
+
+    const stats = stateManager.state.stats;
+    const run = {
+      ...this.current,
+      endTime: Date.now(),
+      reason,
+      counts: {
+        total: stats.totalReposts || 0,
+        processed: stats.processedVideos || 0,
+        removed: this.current.removedItems.length,
+        skipped: stats.skippedVideos || 0,
+        restored: this.current.restoredItems.length,
+        failed: this.current.failedItems.length
+      }
+    };
+    this.current = null;
+
+    this.finishing = (async () => {
+      await this.ready;
+      this.runs = [run, ...this.runs].slice(0, this.MAX_RUNS);
+      await this.saveToStorage();
+    })();
+    await this.finishing;
+    await accountManager.recordRun(run);
+  }
+
+  /**
+   * 列出运行摘要（不含条目明细），可按用户名、视频标题/作者/链接搜索
+   * @param {string} query
+   * @param {string|null} username - 只列出该账号的运行；为空时列出全部
+   */
+  async list(query = '', username = null) {
+    await this.ready;
+    const q = String(query || '').trim().toLowerCase().replace(/^@/, '');
+    const matches = (run) => (!username || this.belongsTo(run, username)) && (!q ||
+      (run.username || '').toLowerCase().includes(q) ||
+      [...run.removedItems, ...run.restoredItems].some(item =>
+        [item.title, item.author, item.url].some(value => (value || '').toLowerCase().includes(q))));
+
+    return this.runs.filter(matches).map(({ removedItems, restoredItems, failedItems, ...summary }) => summary);
+  }
+
+  async get(id) {
+    await this.ready;
+    return this.runs.find(run => run.id === id) || null;
+  }
+
+  async remove(id) {
+    await this.ready;
+    this.runs = this.runs.filter(run => run.id !== id);
+    await this.saveToStorage();
+  }
+
+  /**
+   * @param {string|null} username - 只清除该账号的运行；为空时清除全部
+   */
+  async clear(username = null) {
+    await this.ready;
+    this.runs = username ? this.runs.filter(run => !this.belongsTo(run, username)) : [];
+    await this.saveToStorage();
+  }
+
+  // 旧版本记录的用户名保留了原始大小写
+  belongsTo(run, username) {
+    return AccountManager.normalize(run.username) === AccountManager.normalize(username);
+  }
+}
+
+const runHistory = new RunHistory();
+
+/* ========== TikTok 账号 ========== */
+
+/**
+ * 同一个浏览器里可能轮流登录多个 TikTok 账号：记录见过的账号、侧边栏选中的账号和累计统计
+ * 运行历史和删除规则按选中的账号区分；选中账号与页面上登录的账号不一致时拒绝开始
+ *
+ * 存储：{ selected, detected, accounts: { [username]: { firstSeenAt, lastSeenAt, totals: { runs, removed, restored } } } }
+ * 用户名统一为小写（TikTok 用户名不区分大小写）
+ */
+class AccountManager {
+  constructor() {
+    this.STORAGE_KEY = 'cleartokAccounts';
+
+    this.selected = null;  // 侧边栏选中的账号
+    this.detected = null;  // 最近一次在页面上检测到的登录账号
+    this.accounts = {};
+
+    this.ready = this.loadFromStorage();
+  }
+
+  static normalize(username) {
+    return String(username || '').trim().replace(/^@/, '').toLowerCase() || null;
+  }
+
+  async loadFromStorage() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY, 'cleartokLastUsername']);
+      const stored = result[this.STORAGE_KEY];
+      if (stored) {
+        this.selected = stored.selected || null;
+        this.detected = stored.detected || null;
+        this.accounts = stored.accounts || {};
+      } else if (result.cleartokLastUsername) {
+        // 旧版本只记录了最近一次的用户名
+        const username = AccountManager.normalize(result.cleartokLastUsername);
+        this.selected = username;
+        this.detected = username;
+        this.accounts = { [username]: this.createAccount() };
+        await this.saveToStorage();
+        await chrome.storage.local.remove('cleartokLastUsername');
+      }
+    } catch (error) {
+      console.error('[ YukiRem BG] Failed to load accounts:', error);
+    }
+  }
+
+  async saveToStorage() {
+    try {
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: this.snapshot() });
+    } catch (error) {
+      console.error('[ YukiRem BG] Failed to save accounts:', error);
+    }
+  }
+
+  createAccount() {
+    const now = Date.now();
+    return { firstSeenAt: now, lastSeenAt: now, totals: { runs: 0, removed: 0, restored: 0 } };
+  }
+
+  snapshot() {
+    return { selected: this.selected, detected: this.detected, accounts: this.accounts };
+  }
+
+  /**
+   * 页面上检测到登录账号；第一次见到任何账号时自动选中，单账号用户无需操作
+   */
+  async setDetected(rawUsername) {
+    await this.ready;
+    const username = AccountManager.normalize(rawUsername);
+    if (!username) return;
+
+    if (this.accounts[username]) {
+      this.accounts[username].lastSeenAt = Date.now();
+    } else {
+      this.accounts[username] = this.createAccount();
+      console.log(`[ YukiRem BG] New TikTok account detected: @${username}`);
+    }
+    const switched = this.detected !== username;
+    this.detected = username;
+    if (!this.selected) this.selected = username;
+    await this.saveToStorage();
+
+    // 因账号不一致而暂缓的续传：切回该账号后继续
+    if (switched && runCheckpoint.accountOf() === username) {
+      resumeFromCheckpoint();
+    }
+  }
+
+  async select(rawUsername) {
+    await this.ready;
+    const username = AccountManager.normalize(rawUsername);
+    if (!username || !this.accounts[username]) {
+      throw new Error(`Unknown account: ${rawUsername}`);
+    }
+    this.selected = username;
+    await this.saveToStorage();
+    return this.snapshot();
+  }
+
+  /**
+   * 忘记一个账号（不删除它的运行历史）
+   */
+  async remove(rawUsername) {
+    await this.ready;
+    const username = AccountManager.normalize(rawUsername);
+    delete this.accounts[username];
+    if (this.selected === username) {
+      this.selected = this.accounts[this.detected] ? this.detected : (Object.keys(this.accounts)[0] || null);
+    }
+    await this.saveToStorage();
+    return this.snapshot();
+  }
+
+  async recordRun(run) {
+    await this.ready;
+    const account = this.accounts[run.username];
+    if (!account) return;
+    account.totals = {
+      runs: (account.totals?.runs || 0) + 1,
+      removed: (account.totals?.removed || 0) + (run.counts?.removed || 0),
+      restored: (account.totals?.restored || 0) + (run.counts?.restored || 0)
+    };
+    account.lastRunAt = run.endTime;
+    await this.saveToStorage();
+  }
+
+  /**
+   * 开始运行前检查：最近检测到的登录账号必须是运行所属的账号
+   * content script 在开始时还会用页面上的实时账号再检查一次
+   * @param {string|null} account - 运行所属的账号；新运行为选中的账号，续传为检查点里的账号
+   * @throws {Error} code 为 'ACCOUNT_MISMATCH'
+   */
+  async assertCanRun(account = this.selected) {
+    await this.ready;
+    if (account && this.detected && account !== this.detected) {
+      const error = new Error(`Logged in as @${this.detected}, but this run belongs to @${account}. Switch the TikTok account or select @${this.detected} in the side panel.`);
+      error.code = 'ACCOUNT_MISMATCH';
+      throw error;
+    }
+  }
+}
+
+const accountManager = new AccountManager();
+
+/* ========== 运行检查点（断点续传） ========== */
+
+/**
+ * 记录当前运行进度，页面刷新或浏览器重启后据此继续
+ * 不放进广播状态：只有 background 和正在运行的 content script 需要它
+ *
+ * 工作流运行：{ kind: 'workflow', options, index, removed, lastVideoId }
+ * URL 队列运行：{ kind: 'queue', action, items, position }
+ */
+class RunCheckpoint {
+  constructor() {
+    this.STORAGE_KEY = 'cleartokCheckpoint';
+    this.checkpoint = null;
+
+    this.ready = this.loadFromStorage();
+  }
+
+  async loadFromStorage() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      this.checkpoint = result[this.STORAGE_KEY] || null;
+    } catch (error) {
+      console.error('[ YukiRem BG] Failed to load checkpoint:', error);
+    }
+  }
+
+  get() {
+    return this.checkpoint;
+  }
+
+  /**
+   * 中断的运行所属的账号：工作流记录在 options 中，URL 队列记录在顶层
+   */
+  accountOf() {
+    return this.checkpoint?.options?.account || this.checkpoint?.account || null;
+  }
+
+  /**
+   * 合并保存；同时记下当前统计，浏览器重启后据此恢复计数
+   */
+  async save(data) {
+    this.checkpoint = {
+      ...(this.checkpoint || {}),
+      ...data,
+      stats: { ...stateManager.state.stats },
+      updatedAt: Date.now()
+    };
+    try {
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: this.checkpoint });
+    } catch (error) {
+      console.error('[ YukiRem BG] Failed to save checkpoint:', error);
+    }
+  }
+
+  async clear() {
+    this.checkpoint = null;
+    try {
+      await chrome.storage.local.remove(this.STORAGE_KEY);
+    } catch (error) {
+      console.error('[ YukiRem BG] Failed to clear checkpoint:', error);
+    }
+  }
+}
+
+const runCheckpoint = new RunCheckpoint();
+
+/* ========== 定时清理 ========== */
+
+/**
+ * 定时自动清理：日程保存在 storage，每条日程对应一个一次性 chrome.alarms 闹钟，
+ * 触发后按下一次时间重新设置（按本地时间计算，夏令时切换也不会漂移）
+ *
+ * 日程：{ id, enabled, day: -1（每天）| 0-6（周日-周六）, time: 'HH:MM', olderThanDays, lastRunAt, lastResult }
+ */
+class Scheduler {
+  constructor() {
+    this.STORAGE_KEY = 'cleartokSchedules';
+    this.ALARM_PREFIX = 'cleartok_schedule_';
+    this.schedules = [];
+
+    this.ready = this.loadFromStorage();
+  }
+
+  async loadFromStorage() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      this.schedules = Array.isArray(result[this.STORAGE_KEY]) ? result[this.STORAGE_KEY] : [];
+    } catch (error) {
+      console.error('[ YukiRem BG] Failed to load schedules:', error);
+    }
+  }
+
+  async saveToStorage() {
+    try {
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: this.schedules });
+    } catch (error) {
+      console.error('[ YukiRem BG] Failed to save schedules:', error);
+    }
+  }
+
+  static normalize(schedule = {}) {
+    const day = Number.parseInt(schedule.day, 10);
+    const time = /^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time || '') ? schedule.time : '03:00';
+    return {
+      id: schedule.id || `schedule_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      enabled: schedule.enabled !== false,
+      day: day >= 0 && day <= 6 ? day : -1,
+      time,
+      olderThanDays: Math.max(0, Number.parseInt(schedule.olderThanDays, 10) || 0),
+      lastRunAt: schedule.lastRunAt || null,
+      lastResult: schedule.lastResult || null
+    };
+  }
+
+  /**
+   * 计算下一次触发时间（本地时间）
+   */
+  static nextOccurrence(schedule, from = Date.now()) {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    const next = new Date(from);
+    next.setHours(hours, minutes, 0, 0);
+    while (next.getTime() <= from || (schedule.day >= 0 && next.getDay() !== schedule.day)) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
+  }
+
+  alarmName(id) {
+    return `${this.ALARM_PREFIX}${id}`;
+  }
+
+  /**
+   * 让闹钟与日程保持一致：补建缺失的闹钟，清除已删除或已停用日程的闹钟
+   * 已存在的闹钟保持不变，避免覆盖 service worker 休眠期间到期、尚未派发的闹钟
+   */
+  async syncAlarms() {
+    await this.ready;
+    const alarms = await chrome.alarms.getAll();
+    const existing = new Set(alarms.map(alarm => alarm.name).filter(name => name.startsWith(this.ALARM_PREFIX)));
+
+    for (const schedule of this.schedules) {
+      const name = this.alarmName(schedule.id);
+      if (schedule.enabled && !existing.has(name)) {
+        await chrome.alarms.create(name, { when: Scheduler.nextOccurrence(schedule) });
+      } else if (!schedule.enabled && existing.has(name)) {
+        await chrome.alarms.clear(name);
+      }
+      existing.delete(name);
+    }
+    for (const name of existing) {
+      await chrome.alarms.clear(name);
+    }
+  }
+
+  async list() {
+    await this.ready;
+    const alarms = await chrome.alarms.getAll();
+    const nextRuns = new Map(alarms.map(alarm => [alarm.name, alarm.scheduledTime]));
+    return this.schedules.map(schedule => ({
+      ...schedule,
+      nextRunAt: schedule.enabled ? (nextRuns.get(this.alarmName(schedule.id)) || null) : null
+    }));
+  }
+
+  /**
+   * 新建或更新日程；时间或星期变化后重新设置闹钟
+   */
+  async save(data) {
+    await this.ready;
+    const schedule = Scheduler.normalize({ ...this.schedules.find(s => s.id === data?.id), ...data });
+    const index = this.schedules.findIndex(s => s.id === schedule.id);
+    if (index >= 0) {
+      this.schedules[index] = schedule;
+    } else {
+      this.schedules.push(schedule);
+    }
+    await this.saveToStorage();
+    await chrome.alarms.clear(this.alarmName(schedule.id));
+    await this.syncAlarms();
+    return schedule;
+  }
+
+  async remove(id) {
+    await this.ready;
+    this.schedules = this.schedules.filter(s => s.id !== id);
+    await this.saveToStorage();
+    await chrome.alarms.clear(this.alarmName(id));
+  }
+
+  /**
+   * 闹钟触发：复用 handleRemoveReposts 打开/复用 TikTok 标签页并开始清理
+   */
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(this.ALARM_PREFIX)) return;
+    await this.ready;
+
+    const schedule = this.schedules.find(s => this.alarmName(s.id) === alarm.name);
+    if (!schedule || !schedule.enabled) return;
+
+    let lastResult = 'started';
+    if (stateManager.state.process.isRunning) {
+      // 用户正在手动运行，本次跳过
+      console.log(`[YukiRem BG] Schedule ${schedule.id} skipped: a process is already running`);
+      lastResult = 'skipped';
+    } else {
+      console.log(`[YukiRem BG] Running scheduled cleanup ${schedule.id}`);
+      try {
+        await handleRemoveReposts({ mode: 'remove', olderThanDays: schedule.olderThanDays, scheduleId: schedule.id });
+      } catch (error) {
+        console.error(`[YukiRem BG] Scheduled cleanup ${schedule.id} failed:`, error);
+        lastResult = 'failed';
+      }
+    }
+
+    schedule.lastRunAt = Date.now();
+    schedule.lastResult = lastResult;
+    await this.saveToStorage();
+    await chrome.alarms.create(alarm.name, { when: Scheduler.nextOccurrence(schedule) });
+  }
+}
+
+const scheduler = new Scheduler();
+
 /* ========== 辅助函数 ========== */
 
 async function waitForTabComplete(tabId, timeoutMs = 10000) {
@@ -206,57 +891,276 @@ async function ensureScriptsInjected(tabId) {
   return false;
 }
 
-async function checkMetaAndUpdate(force = false) {
-  const { selectorsMeta } = await chrome.storage.local.get('selectorsMeta');
+/* ========== 选择器包 ========== */
+
+/**
+ * 远程选择器包的更新流程：
+ *   1. 迁移到当前 schema 版本并严格校验结构
+ *   2. 安装为 pending，并保留上一个通过检查的包（selectorsLastGood）
+ *   3. 在 TikTok 标签页上做健康检查：通过则标记 verified，不通过则回滚到上一个包
+ * 被拒绝或回滚的版本记录在 selectorsRejected 中，不会反复安装。
+ *
+ * 用户可以在侧边栏把更新源改为自己的地址（selectorSourceUrl），或从文件导入选择器包，步骤相同。
+ * @returns {Promise<{status: string, version?: string, reason?: string}>}
+ */
+async function checkMetaAndUpdate(force = false) {
+  const { selectorsMeta, selectorSourceUrl } = await chrome.storage.local.get(['selectorsMeta', 'selectorSourceUrl']);
+
+  // 上次安装后没有可用的 TikTok 标签页，健康检查还没做
+  if (selectorsMeta?.status === 'pending') {
+    await runSelectorHealthCheck();
+  }
+
+  if (!force && selectorsMeta && Date.now() - selectorsMeta.fetchedAt < 60_000) {
+    return { status: 'skipped' };
+  }
+
+  const url = selectorSourceUrl || META_URL;
+  try {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) {
+      return { status: 'failed', reason: `HTTP ${res.status}` };
+    }
+    const meta = await res.json();
+    return await applySelectorBundle(meta, {
+      source: selectorSourceUrl ? url : 'official'
+    });
+  } catch (e) {
+    console.warn('[ YukiRem BG] Failed to fetch selectors:', e);
+    return { status: 'failed', reason: e.message };
+  }
+}
+
+/**
+ * 校验并安装一个选择器包
+ * @param {object} meta - 包的原始 JSON
+ * @param {{source: string, retryRejected?: boolean}} options
+ *   retryRejected - 用户手动导入时允许重新安装之前被拒绝的版本
+ * @returns {Promise<{status: 'up-to-date'|'rejected'|'verified'|'pending'|'rolled_back', version?: string, reason?: string}>}
+ */
+async function applySelectorBundle(meta, { source, retryRejected = false }) {
+  if (!meta?.version || !meta?.selectors) {
+    console.warn('[ YukiRem BG] Invalid meta file');
+    return { status: 'rejected', reason: 'Missing version or selectors' };
+  }
+
+  const { selectorsMeta, selectorsRejected } = await chrome.storage.local.get(['selectorsMeta', 'selectorsRejected']);
+
+  if (selectorsMeta?.version === meta.version && (selectorsMeta.source || 'official') === source) {
+    console.log('[ YukiRem BG] Selectors up-to-date');
+    return { status: 'up-to-date', version: meta.version };
+  }
+
+  if (!retryRejected && selectorsRejected?.version === meta.version) {
+    console.log('[ YukiRem BG] Skipping previously rejected selectors version:', meta.version);
+    return { status: 'rejected', version: meta.version, reason: selectorsRejected.reason };
+  }
+
+  let bundle;
+  try {
+    bundle = SelectorSchema.migrate(meta);
+  } catch (error) {
+    return rejectSelectorBundle(meta.version, error.message);
+  }
+  const { valid, errors } = SelectorSchema.validateBundle(bundle);
+  if (!valid) {
+    return rejectSelectorBundle(meta.version, errors.join('; '));
+  }
+
+  await installSelectorBundle(bundle, selectorsMeta, source);
+  const status = await runSelectorHealthCheck();
+  return { status, version: bundle.version };
+}
+
+/**
+ * 侧边栏设置自定义更新源；传入空值恢复官方源
+ * 权限由侧边栏在用户点击时通过 optional_host_permissions 申请
+ */
+async function handleSetSelectorSource(payload) {
+  const url = (payload?.url || '').trim();
+  if (url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('Invalid URL');
+    }
+    if (parsed.protocol !== 'https:') {
+      throw new Error('Selector source must use https');
+    }
+    await chrome.storage.local.set({ selectorSourceUrl: parsed.href });
+  } else {
+    await chrome.storage.local.remove('selectorSourceUrl');
+  }
+  return checkMetaAndUpdate(true);
+}
+
+/**
+ * 从文件导入的选择器包：与远程包走同一套校验、安装和健康检查
+ */
+async function handleImportSelectorPack(payload) {
+  return applySelectorBundle(payload?.pack, {
+    source: `file:${payload?.fileName || 'import'}`,
+    retryRejected: true
+  });
+}
+
+async function rejectSelectorBundle(version, reason) {
+  console.warn(`[ YukiRem BG] Rejected selectors version ${version}: ${reason}`);
+  await chrome.storage.local.set({
+    selectorsRejected: { version, reason, rejectedAt: Date.now() }
+  });
+  return { status: 'rejected', version, reason };
+}
+
+/**
+ * 安装新包；当前包已通过健康检查（或是旧版本安装、没有状态记录的包）时把它保留为回滚目标
+ */
+async function installSelectorBundle(bundle, previousMeta, source) {
+  const update = {
+    selectors: bundle.selectors,
+    selectorsMeta: {
+      version: bundle.version,
+      schemaVersion: bundle.schema_version,
+      source,
+      fetchedAt: Date.now(),
+      status: 'pending'
+    }
+  };
+
+  if (previousMeta && previousMeta.status !== 'pending') {
+    const { selectors } = await chrome.storage.local.get('selectors');
+    if (selectors) {
+      update.selectorsLastGood = { selectors, meta: previousMeta };
+    }
+  }
+
+  await chrome.storage.local.set(update);
+  console.log('[ YukiRem BG] Selectors updated to version:', bundle.version);
+  notifySelectorsUpdated();
+}
+
+// 只通知正在处理的标签页（如果有）
+function notifySelectorsUpdated() {
+  if (stateManager.state.process.tabId) {
+    chrome.tabs.sendMessage(stateManager.state.process.tabId, {
+      type: 'SELECTORS_UPDATED',
+      timestamp: Date.now()
+    }).catch(() => {});
+  }
+}
 
-  if (!force && selectorsMeta && Date.now() - selectorsMeta.fetchedAt < 60_000) {
-    return;
+/**
+ * 在 TikTok 标签页上比较新包与上一个通过检查的包
+ * 没有可用标签页时保持 pending，下次 checkMetaAndUpdate 时再检查
+ */
+async function runSelectorHealthCheck() {
+  const { selectors, selectorsMeta, selectorsLastGood } = await chrome.storage.local.get([
+    'selectors', 'selectorsMeta', 'selectorsLastGood'
+  ]);
+  if (!selectors || selectorsMeta?.status !== 'pending') return selectorsMeta?.status || 'pending';
+
+  const tabId = await findTikTokTab();
+  if (!tabId || !await ensureScriptsInjected(tabId)) {
+    console.log('[ YukiRem BG] No TikTok tab for selectors health check, will retry later');
+    return 'pending';
   }
 
+  let report;
   try {
-    const res = await fetch(META_URL, { cache: 'no-cache' });
-    if (!res.ok) return;
-    const meta = await res.json();
+    const response = await chrome.tabs.sendMessage(tabId, {
+      type: 'CHECK_SELECTOR_BUNDLE',
+      payload: { candidate: selectors, baseline: selectorsLastGood?.selectors || null },
+      timestamp: Date.now()
+    });
+    if (!response?.success) throw new Error(response?.error || 'Health check failed');
+    report = response.result;
+  } catch (error) {
+    console.warn('[ YukiRem BG] Selectors health check could not run:', error);
+    return 'pending';
+  }
 
-    if (!meta?.version || !meta?.selectors) {
-      console.warn('[ YukiRem BG] Invalid meta file');
-      return;
-    }
+  if (report.healthy) {
+    await chrome.storage.local.set({
+      selectorsMeta: { ...selectorsMeta, status: 'verified', verifiedAt: Date.now() },
+      selectorsLastGood: { selectors, meta: { ...selectorsMeta, status: 'verified' } }
+    });
+    console.log('[ YukiRem BG] Selectors version passed health check:', selectorsMeta.version);
+    return 'verified';
+  }
 
-    if (selectorsMeta?.version === meta.version) {
-      console.log('[ YukiRem BG] Selectors up-to-date');
-      return;
-    }
+  const reason = [
+    report.invalid.length ? `invalid: ${report.invalid.join(', ')}` : '',
+    report.regressions.length ? `no longer matching: ${report.regressions.join(', ')}` : ''
+  ].filter(Boolean).join('; ');
+  await rollbackSelectors(selectorsMeta.version, reason, selectorsLastGood);
+  return 'rolled_back';
+}
 
+/**
+ * 回滚到上一个通过检查的包；没有时清空远程选择器，回到后备文件
+ */
+async function rollbackSelectors(version, reason, lastGood) {
+  await rejectSelectorBundle(version, reason);
+  if (lastGood?.selectors) {
     await chrome.storage.local.set({
-      selectors: meta.selectors,
-      selectorsMeta: { version: meta.version, fetchedAt: Date.now() }
+      selectors: lastGood.selectors,
+      selectorsMeta: { ...lastGood.meta, fetchedAt: Date.now() }
     });
+    console.warn('[ YukiRem BG] Rolled back selectors to version:', lastGood.meta?.version);
+  } else {
+    await chrome.storage.local.remove(['selectors', 'selectorsMeta']);
+    console.warn('[ YukiRem BG] Rolled back selectors to the built-in fallback');
+  }
+  notifySelectorsUpdated();
+}
 
-    console.log('[ YukiRem BG] Selectors updated to version:', meta.version);
+/**
+ * 扩展更新后，把旧版本保存的选择器迁移到当前 schema；无法迁移或校验不通过时丢弃
+ */
+async function migrateStoredSelectors() {
+  const { selectors, selectorsMeta } = await chrome.storage.local.get(['selectors', 'selectorsMeta']);
+  if (!selectors) return;
+  // 旧版本保存的包没有记录 schemaVersion，当时只有 1 版
+  const schemaVersion = selectorsMeta?.schemaVersion || 1;
+  if (schemaVersion === SelectorSchema.CURRENT_VERSION && selectorsMeta?.schemaVersion) return;
 
-    // 只通知正在处理的标签页（如果有）
-    if (stateManager.state.process.tabId) {
-      chrome.tabs.sendMessage(stateManager.state.process.tabId, {
-        type: 'SELECTORS_UPDATED',
-        timestamp: Date.now()
-      }).catch(() => {});
-    }
-  } catch (e) {
-    console.warn('[ YukiRem BG] Failed to fetch selectors:', e);
+  try {
+    const bundle = SelectorSchema.migrate({
+      schema_version: schemaVersion,
+      version: String(selectorsMeta?.version || ''),
+      selectors
+    });
+    const { valid, errors } = SelectorSchema.validateBundle(bundle);
+    if (!valid) throw new Error(errors.join('; '));
+    await chrome.storage.local.set({
+      selectors: bundle.selectors,
+      selectorsMeta: { ...selectorsMeta, schemaVersion: bundle.schema_version }
+    });
+  } catch (error) {
+    console.warn('[ YukiRem BG] Dropping stored selectors that cannot be migrated:', error);
+    await chrome.storage.local.remove(['selectors', 'selectorsMeta']);
   }
 }
 
 /* ========== 生命周期事件 ========== */
 
-chrome.runtime.onStartup?.addListener(() => checkMetaAndUpdate(true));
+chrome.runtime.onStartup?.addListener(() => {
+  checkMetaAndUpdate(true);
+  scheduler.syncAlarms();
+  resumeFromCheckpoint();
+});
 
-chrome.runtime.onInstalled.addListener(() => {
+chrome.runtime.onInstalled.addListener(async () => {
   console.log("[ YukiRem BG] Extension installed");
+  await migrateStoredSelectors();
   checkMetaAndUpdate(true);
+  scheduler.syncAlarms();
   chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
 });
 
+chrome.alarms.onAlarm.addListener((alarm) => scheduler.handleAlarm(alarm));
+
 chrome.action.onClicked.addListener((tab) => {
   chrome.sidePanel.open({ windowId: tab.windowId });
 });
@@ -276,9 +1180,19 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
             // 如果正在处理中，通知脚本恢复状态
             chrome.tabs.sendMessage(tabId, {
               type: 'RESTORE_STATE',
-              payload: stateManager.state,
+              payload: stateManager.getSnapshot(),
               timestamp: Date.now()
             }).catch(() => {});
+
+            // 工作流运行在页面内，刷新后需要从检查点重新启动；URL 队列由 background 驱动，无需处理
+            const checkpoint = runCheckpoint.get();
+            if (checkpoint?.kind === 'workflow') {
+              chrome.tabs.sendMessage(tabId, {
+                type: 'RESUME_RUN',
+                payload: { checkpoint },
+                timestamp: Date.now()
+              }).catch(() => {});
+            }
           }
         });
       } else {
@@ -290,10 +1204,16 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
-chrome.tabs.onRemoved.addListener((tabId) => {
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
   if (tabId === stateManager.state.process.tabId) {
     console.log(`[ YukiRem BG] Processing tab ${tabId} was closed`);
 
+    runHistory.finish('tab_closed');
+    // 用户主动关闭标签页视为放弃本次运行；关闭整个窗口（包括退出浏览器）则保留检查点，下次启动时续传
+    if (!removeInfo?.isWindowClosing) {
+      runCheckpoint.clear();
+    }
+
     // 使用新方法：保留统计数据，只重置运行状态
     stateManager.resetProcessKeepStats();
 
@@ -313,7 +1233,16 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 /* ========== 消息处理 ========== */
 
 // 定义需要异步处理的消息类型
-const asyncMessages = ['ENSURE_SELECTORS', 'REMOVE_REPOSTS', 'CHECK_LOGIN_TAB'];
+const asyncMessages = [
+  'ENSURE_SELECTORS', 'REMOVE_REPOSTS', 'SCAN_REPOSTS', 'REMOVE_SELECTED', 'RESTORE_REPOSTS', 'CHECK_LOGIN_TAB',
+  'GET_RUN_HISTORY', 'GET_RUN', 'DELETE_RUN', 'CLEAR_RUN_HISTORY', 'GET_REMOVED_PAGE',
+  'GET_ACCOUNTS', 'SELECT_ACCOUNT', 'REMOVE_ACCOUNT',
+  'SAVE_CHECKPOINT', 'GET_REMOVED_IDS', 'GET_REMOVED_ITEMS', 'GET_SCHEDULES', 'SAVE_SCHEDULE', 'DELETE_SCHEDULE',
+  'RUN_DIAGNOSTICS',
+  'TEST_SELECTORS',
+  'SET_SELECTOR_SOURCE',
+  'IMPORT_SELECTOR_PACK'
+];
 
 // 定义需要转发到 content script 的消息类型
 const forwardMessages = ['PAUSE_REMOVAL', 'RESUME_REMOVAL', 'NAVIGATE_TO_REPOSTS'];
@@ -324,6 +1253,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   // 简单直接的消息处理 - 暂停/恢复直接转发到 content script
   if (message.type === 'PAUSE_REMOVAL' || message.type === 'RESUME_REMOVAL') {
+    // 先更新自身状态：由 background 驱动的队列在页面跳转间隙也能感知暂停
+    if (stateManager.state.process.isRunning) {
+      stateManager.updateState({ process: { isPaused: message.type === 'PAUSE_REMOVAL' } });
+    }
     if (stateManager.state.process.tabId) {
       // 有活动标签页，转发消息
       chrome.tabs.sendMessage(stateManager.state.process.tabId, message, (response) => {
@@ -359,12 +1292,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       break;
 
     case 'GET_STATE':
-      sendResponse({ success: true, result: stateManager.state });
+      sendResponse({ success: true, result: stateManager.getSnapshot() });
       break;
 
     case 'UPDATE_STATE':
       stateManager.updateState(message.payload);
-      sendResponse({ success: true });
+      // 返回这次更新的版本，发送方据此判断重新同步的快照是否已包含它
+      sendResponse({ success: true, result: { epoch: stateManager.epoch, revision: stateManager.revision } });
       break;
 
     case 'RESET_STATE':
@@ -372,14 +1306,27 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
 
+    case 'LOGIN_STATUS_UPDATE':
+      // 记住当前账号，供运行历史和账号检查使用（popup 同样会收到这条广播）
+      if (sender.tab && message.payload?.isLoggedIn) {
+        accountManager.setDetected(message.payload.username);
+      }
+      break;
+
     // 来自 content script 的状态更新
     case 'UPDATE_PROGRESS':
     case 'VIDEO_REMOVED':
+    case 'VIDEO_REMOVE_FAILED':
     case 'VIDEO_SKIPPED':
+    case 'VIDEO_SCANNED':
+    case 'VIDEO_RESTORED':
+    case 'VIDEO_RESTORE_FAILED':
     case 'STATUS_UPDATE':
     case 'ERROR':
     case 'COMPLETE':
+    case 'SCAN_COMPLETE':
     case 'NO_REPOSTS_FOUND':
+    case 'RECONCILE_COMPLETE':
       // 只从 content script 接收时才处理（避免重复）
       if (sender.tab) {
         // 更新内部状态
@@ -404,15 +1351,107 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           break;
 
         case 'REMOVE_REPOSTS':
-          const removeResult = await handleRemoveReposts();
+          const removeResult = await handleRemoveReposts({ target: message.payload?.target });
           sendResponse({ success: true, result: removeResult });
           break;
 
+        case 'SCAN_REPOSTS':
+          // 仅扫描：走同一套标签页/注入流程，但 content script 不会点击取消转发
+          const scanResult = await handleRemoveReposts({ mode: 'scan', target: message.payload?.target });
+          sendResponse({ success: true, result: scanResult });
+          break;
+
+        case 'REMOVE_SELECTED':
+          const selectedResult = await handleRemoveSelected(message.payload);
+          sendResponse({ success: true, result: selectedResult });
+          break;
+
+        case 'RESTORE_REPOSTS':
+          const restoreResult = await handleRestoreReposts(message.payload);
+          sendResponse({ success: true, result: restoreResult });
+          break;
+
         case 'CHECK_LOGIN_TAB':
           const checkResult = await handleCheckLoginTab(message.payload);
           sendResponse({ success: true, result: checkResult });
           break;
 
+        case 'SET_SELECTOR_SOURCE':
+          sendResponse({ success: true, result: await handleSetSelectorSource(message.payload) });
+          break;
+
+        case 'IMPORT_SELECTOR_PACK':
+          sendResponse({ success: true, result: await handleImportSelectorPack(message.payload) });
+          break;
+
+        case 'RUN_DIAGNOSTICS':
+        case 'TEST_SELECTORS':
+          sendResponse({ success: true, result: await handleRunDiagnostics(message.type, message.payload) });
+          break;
+
+        case 'GET_REMOVED_PAGE':
+          const { offset = 0, limit = 50 } = message.payload || {};
+          sendResponse({ success: true, result: await removedStore.getPage(offset, limit) });
+          break;
+
+        case 'GET_RUN_HISTORY':
+          sendResponse({ success: true, result: await runHistory.list(message.payload?.query, message.payload?.username) });
+          break;
+
+        case 'GET_ACCOUNTS':
+          await accountManager.ready;
+          sendResponse({ success: true, result: accountManager.snapshot() });
+          break;
+
+        case 'SELECT_ACCOUNT':
+          sendResponse({ success: true, result: await accountManager.select(message.payload?.username) });
+          break;
+
+        case 'REMOVE_ACCOUNT':
+          sendResponse({ success: true, result: await accountManager.remove(message.payload?.username) });
+          break;
+
+        case 'GET_RUN':
+          sendResponse({ success: true, result: await runHistory.get(message.payload?.id) });
+          break;
+
+        case 'DELETE_RUN':
+          await runHistory.remove(message.payload?.id);
+          sendResponse({ success: true });
+          break;
+
+        case 'CLEAR_RUN_HISTORY':
+          await runHistory.clear(message.payload?.username);
+          sendResponse({ success: true });
+          break;
+
+        case 'SAVE_CHECKPOINT':
+          await runCheckpoint.save(message.payload || {});
+          sendResponse({ success: true });
+          break;
+
+        case 'GET_SCHEDULES':
+          sendResponse({ success: true, result: await scheduler.list() });
+          break;
+
+        case 'SAVE_SCHEDULE':
+          sendResponse({ success: true, result: await scheduler.save(message.payload) });
+          break;
+
+        case 'DELETE_SCHEDULE':
+          await scheduler.remove(message.payload?.id);
+          sendResponse({ success: true });
+          break;
+
+        case 'GET_REMOVED_ITEMS':
+          sendResponse({ success: true, result: await removedStore.getAll() });
+          break;
+
+        case 'GET_REMOVED_IDS':
+          const removedItems = await removedStore.getAll();
+          sendResponse({ success: true, result: removedItems.map(item => item.videoId).filter(Boolean) });
+          break;
+
         default:
           sendResponse({ success: false, error: `Unknown async message type: ${message.type}` });
           break;
@@ -428,56 +1467,92 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 /* ========== 业务逻辑处理 ========== */
 
-async function handleRemoveReposts() {
-  console.log('[YukiRem BG] Starting repost removal');
+/**
+ * 复用正在处理的标签页，否则查找或创建一个 TikTok 标签页
+ */
+async function getProcessingTab() {
+  // 如果已有活动处理标签页，复用它
+  let tab;
+  if (stateManager.state.process.tabId) {
+    try {
+      tab = await chrome.tabs.get(stateManager.state.process.tabId);
+      await chrome.tabs.update(tab.id, { active: true });
+      console.log(`[YukiRem BG] Reusing active tab: ${tab.id}`);
+    } catch (e) {
+      // 标签页已关闭，需要创建新的
+      stateManager.resetProcess(false); // 标签页不存在，清除 tabId
+    }
+  }
+
+  // 如果没有活动标签页，查找或创建
+  if (!tab) {
+    const tabs = await chrome.tabs.query({ url: '*://*.tiktok.com/*' });
+    if (tabs.length === 0) {
+      tab = await chrome.tabs.create({ url: 'https://www.tiktok.com/', active: true });
+      console.log(`[YukiRem BG] Created new tab: ${tab.id}`);
+    } else {
+      // 使用最后一个找到的 TikTok 标签页（通常是最近活动的）
+      // 注意：一旦选定并保存到 state.process.tabId，
+      // 后续所有操作（暂停、恢复、ping等）都会使用这个保存的 tabId
+      tab = tabs[tabs.length - 1];
+      await chrome.tabs.update(tab.id, { active: true });
+      console.log(`[YukiRem BG] Using existing tab: ${tab.id}`);
+    }
+  }
+
+  return tab;
+}
+
+/**
+ * @param {object} options - 传给 content script 工作流的选项（mode 等）
+ * @param {object|null} resume - 浏览器重启后的续传检查点；提供时保留已有统计和删除列表
+ */
+async function handleRemoveReposts(options = {}, resume = null) {
+  console.log('[YukiRem BG] Starting repost removal', options);
+
+  // 续传沿用中断前的账号，不能换成现在选中的账号（旧版本的检查点没有记录账号）
+  const account = resume ? (options.account || accountManager.selected) : accountManager.selected;
+  // 与最近登录的账号不一致时直接拒绝；content script 开始时再按页面上的账号核对
+  await accountManager.assertCanRun(account);
+  options = { ...options, account };
 
   try {
-    // 如果已有活动处理标签页，复用它
-    let tab;
-    if (stateManager.state.process.tabId) {
-      try {
-        tab = await chrome.tabs.get(stateManager.state.process.tabId);
-        await chrome.tabs.update(tab.id, { active: true });
-        console.log(`[YukiRem BG] Reusing active tab: ${tab.id}`);
-      } catch (e) {
-        // 标签页已关闭，需要创建新的
-        stateManager.resetProcess(false); // 标签页不存在，清除 tabId
-      }
-    }
+    const tab = await getProcessingTab();
 
-    // 如果没有活动标签页，查找或创建
-    if (!tab) {
-      const tabs = await chrome.tabs.query({ url: '*://*.tiktok.com/*' });
-      if (tabs.length === 0) {
-        tab = await chrome.tabs.create({ url: 'https://www.tiktok.com/', active: true });
-        console.log(`[YukiRem BG] Created new tab: ${tab.id}`);
-      } else {
-        // 使用最后一个找到的 TikTok 标签页（通常是最近活动的）
-        // 注意：一旦选定并保存到 state.process.tabId，
-        // 后续所有操作（暂停、恢复、ping等）都会使用这个保存的 tabId
-        tab = tabs[tabs.length - 1];
-        await chrome.tabs.update(tab.id, { active: true });
-        console.log(`[YukiRem BG] Using existing tab: ${tab.id}`);
-      }
+    if (resume) {
+      if (!runHistory.current) await runHistory.begin('remove', options.target, account);
+      stateManager.updateState({
+        process: { isRunning: false, isPaused: false, tabId: tab.id, startTime: Date.now() },
+        stats: resume.stats || {}
+      });
+    } else {
+      await runHistory.begin(options.mode === 'scan' ? 'scan' : 'remove', options.target);
+
+      // 更新状态 - 只设置 tabId，不设置 isRunning
+      // isRunning 应该由 content script 在真正开始时设置
+      stateManager.updateState({
+        process: {
+          isRunning: false, // 让 content script 自己设置
+          isPaused: false,
+          tabId: tab.id,
+          startTime: Date.now()
+        },
+        stats: {
+          totalReposts: 0,
+          processedVideos: 0,
+          removedVideos: 0,
+          skippedVideos: 0,
+          restoredVideos: 0,
+          failedVideos: 0
+        },
+        lastRemoved: null
+      });
+      await removedStore.clear();
+      await runCheckpoint.clear();
     }
 
-    // 更新状态 - 只设置 tabId，不设置 isRunning
-    // isRunning 应该由 content script 在真正开始时设置
-    stateManager.updateState({
-      process: {
-        isRunning: false, // 让 content script 自己设置
-        isPaused: false,
-        tabId: tab.id,
-        startTime: Date.now()
-      },
-      stats: {
-        totalReposts: 0,
-        processedVideos: 0,
-        removedVideos: 0,
-        skippedVideos: 0
-      },
-      removedList: []
-    });
+    // 运行后核对的结果按 ID 补记到这次运行上
+    options = { ...options, runId: runHistory.current?.id || null };
 
     // 等待页面加载
     await waitForTabComplete(tab.id, 15000);
@@ -493,6 +1568,7 @@ async function handleRemoveReposts() {
     // 发送开始命令（使用 catch 处理可能的错误）
     await chrome.tabs.sendMessage(tab.id, {
       type: 'START_REMOVAL',
+      payload: { options, resume },
       timestamp: Date.now()
     }).catch(error => {
       // 如果标签页已关闭或无响应，记录错误但不抛出
@@ -503,6 +1579,7 @@ async function handleRemoveReposts() {
 
   } catch (error) {
     console.error('[YukiRem BG] Failed to start removal:', error);
+    runHistory.finish('error');
 
     // 判断是否是标签页关闭导致的错误
     if (error.message?.includes('message channel closed')) {
@@ -517,6 +1594,236 @@ async function handleRemoveReposts() {
   }
 }
 
+/**
+ * 导航标签页到指定 URL，并等待这次导航真正完成
+ * （waitForTabComplete 在导航刚开始时可能仍读到上一页的 complete 状态）
+ */
+function navigateTab(tabId, url, timeoutMs = 20000) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const finish = (ok) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve(ok);
+    };
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') finish(true);
+    };
+    const timer = setTimeout(() => finish(false), timeoutMs);
+
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.update(tabId, { url }).catch(() => finish(false));
+  });
+}
+
+/**
+ * 逐个打开视频页面并在页面内执行操作（取消转发或重新转发）
+ * 直接导航到 /video/<id>，不依赖 video.nextButton 串联
+ * @param {number} tabId
+ * @param {Array<{url: string, title?: string, author?: string}>} items
+ * @param {'remove'|'restore'} action
+ * @param {number} startAt - 续传时从这个位置开始（之前的条目已处理）
+ * @returns {Promise<{processed: number, stopped: boolean}>}
+ */
+async function runUrlQueue(tabId, items, action, startAt = 0) {
+  const summary = { processed: 0, stopped: false };
+
+  for (let i = startAt; i < items.length; i++) {
+    // 暂停时原地等待；被停止（例如标签页关闭）则退出
+    while (stateManager.state.process.isRunning && stateManager.state.process.isPaused) {
+      await new Promise(r => setTimeout(r, 500));
+    }
+    if (!stateManager.state.process.isRunning) {
+      summary.stopped = true;
+      break;
+    }
+
+    const item = items[i];
+    const loaded = await navigateTab(tabId, item.url);
+    if (!loaded || !await ensureScriptsInjected(tabId)) {
+      console.warn(`[YukiRem BG] Could not load ${item.url}, skipping`);
+      chrome.runtime.sendMessage({
+        type: 'VIDEO_SKIPPED',
+        payload: { index: i + 1, reason: 'Video page failed to load', ...item },
+        timestamp: Date.now()
+      }).catch(() => {});
+      summary.processed++;
+      await runCheckpoint.save({ position: i + 1 });
+      continue;
+    }
+
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'PROCESS_VIDEO_PAGE',
+        payload: { action, index: i + 1, total: items.length, item },
+        timestamp: Date.now()
+      });
+    } catch (error) {
+      console.warn(`[YukiRem BG] PROCESS_VIDEO_PAGE failed for ${item.url}:`, error);
+    }
+    summary.processed++;
+    await runCheckpoint.save({ position: i + 1 });
+
+    // 与工作流相同量级的随机间隔，避免过快的连续导航
+    await new Promise(r => setTimeout(r, 600 + Math.floor(Math.random() * 900)));
+  }
+
+  return summary;
+}
+
+/**
+ * 在处理标签页上后台运行 URL 队列，立即返回，结束时广播完成事件
+ * @param {Array<object>} items
+ * @param {'remove'|'restore'} action
+ * @param {object} resetState - 本次运行开始时要重置的状态（stats 字段、lastRemoved 等）
+ * @param {number} startAt - 续传时的起始位置
+ * @param {string|null} account - 运行所属的账号；默认为选中的账号，续传时为检查点里的账号
+ */
+async function startUrlQueue(items, action, resetState = {}, startAt = 0, account = accountManager.selected) {
+  if (stateManager.state.process.isRunning) {
+    throw new Error('A process is already running');
+  }
+  await accountManager.assertCanRun(account);
+
+  const tab = await getProcessingTab();
+  const startTime = Date.now();
+  if (!startAt || !runHistory.current) await runHistory.begin(action, items[0]?.target, account);
+  await runCheckpoint.save({ kind: 'queue', action, items, position: startAt, account });
+
+  // 队列由 background 驱动，因此由这里标记运行开始
+  stateManager.updateState({
+    ...resetState,
+    process: {
+      isRunning: true,
+      isPaused: false,
+      tabId: tab.id,
+      startTime
+    },
+    stats: {
+      totalReposts: items.length,
+      processedVideos: 0,
+      ...resetState.stats
+    }
+  });
+
+  // 重试时统计里已包含之前确认的删除，完成事件只报告这次队列新删除的数量（续传时中断前的删除尚未上报，一并计入）
+  const removedAtStart = startAt ? 0 : (stateManager.state.stats.removedVideos || 0);
+
+  // 不阻塞响应：队列可能运行很久
+  (async () => {
+    try {
+      const summary = await runUrlQueue(tab.id, items, action, startAt);
+      if (summary.stopped) return; // 标签页关闭等情况已由对应事件处理
+
+      const total = Date.now() - startTime;
+      const duration = { total, minutes: Math.floor(total / 60000), seconds: Math.floor((total % 60000) / 1000) };
+      const completion = action === 'restore'
+        ? { type: 'RESTORE_COMPLETE', payload: { restoredCount: stateManager.state.stats.restoredVideos, totalCount: items.length, duration } }
+        : { type: 'COMPLETE', payload: { removedCount: stateManager.state.stats.removedVideos - removedAtStart, totalCount: items.length, duration } };
+
+      chrome.runtime.sendMessage({ ...completion, timestamp: Date.now() }).catch(() => {});
+      handleContentMessage(completion.type, completion.payload);
+    } catch (error) {
+      console.error(`[YukiRem BG] URL queue (${action}) failed:`, error);
+      chrome.runtime.sendMessage({
+        type: 'ERROR',
+        payload: { message: 'Processing the selected videos failed.', error: error.toString() },
+        timestamp: Date.now()
+      }).catch(() => {});
+      handleContentMessage('ERROR', {});
+    }
+  })();
+
+  return { tabId: tab.id, status: 'started', count: items.length };
+}
+
+function isVideoUrlItem(item) {
+  return !!item && typeof item.url === 'string' && item.url.includes('/video/');
+}
+
+/**
+ * 只取消用户在扫描清单中勾选的转发
+ * payload.retry 为 true 时是重试运行后核对仍存在的条目
+ */
+async function handleRemoveSelected(payload) {
+  const items = (payload?.items || []).filter(isVideoUrlItem);
+  if (items.length === 0) {
+    throw new Error('No selected reposts to remove');
+  }
+
+  if (stateManager.state.process.isRunning) {
+    throw new Error('A process is already running');
+  }
+
+  if (payload.retry) {
+    // 重试核对后仍在列表中的条目：保留本次运行已确认的删除记录，继续累加
+    return startUrlQueue(items, 'remove', {
+      stats: { skippedVideos: 0, failedVideos: 0 }
+    });
+  }
+
+  await removedStore.clear();
+  return startUrlQueue(items, 'remove', {
+    stats: { removedVideos: 0, skippedVideos: 0, restoredVideos: 0, failedVideos: 0 },
+    lastRemoved: null
+  });
+}
+
+/**
+ * 撤销删除：重新转发已删除的视频（全部，或 payload.urls 指定的条目）
+ */
+async function handleRestoreReposts(payload) {
+  const stored = Array.isArray(payload?.urls)
+    ? await removedStore.getByUrls(payload.urls)
+    : await removedStore.getAll();
+  const items = stored.filter(isVideoUrlItem);
+  if (items.length === 0) {
+    throw new Error('No removed reposts to restore');
+  }
+
+  // 删除列表是上一次运行的，只能在删除它们的账号上重新转发
+  return startUrlQueue(items, 'restore', {
+    stats: { skippedVideos: 0, restoredVideos: 0 }
+  }, 0, items[0].account || accountManager.selected);
+}
+
+/**
+ * 浏览器重启后继续上次被中断的运行
+ */
+let resumingCheckpoint = false;
+
+async function resumeFromCheckpoint() {
+  await Promise.all([stateManager.ready, runCheckpoint.ready, runHistory.ready, accountManager.ready]);
+  const checkpoint = runCheckpoint.get();
+  // 启动时和切换账号时都可能触发，同一时间只续传一次
+  if (!checkpoint || stateManager.state.process.isRunning || resumingCheckpoint) return;
+  resumingCheckpoint = true;
+
+  console.log('[YukiRem BG] Resuming interrupted run from checkpoint', checkpoint);
+  try {
+    if (checkpoint.kind === 'workflow') {
+      await handleRemoveReposts({ ...checkpoint.options }, checkpoint);
+    } else if (checkpoint.kind === 'queue' && Array.isArray(checkpoint.items)) {
+      await startUrlQueue(checkpoint.items, checkpoint.action, { stats: checkpoint.stats || {} }, checkpoint.position || 0,
+        checkpoint.account || accountManager.selected);
+    } else {
+      await runCheckpoint.clear();
+    }
+  } catch (error) {
+    if (error.code === 'ACCOUNT_MISMATCH') {
+      // 保留检查点：切回原账号时由 AccountManager.setDetected 再次续传
+      console.warn('[YukiRem BG] Interrupted run kept until its account is active again:', error.message);
+      return;
+    }
+    console.error('[YukiRem BG] Failed to resume interrupted run:', error);
+    await runCheckpoint.clear();
+  } finally {
+    resumingCheckpoint = false;
+  }
+}
+
 async function handleCheckLoginTab(payload) {
   const { tabId } = payload;
   const isReady = await ensureScriptsInjected(tabId);
@@ -532,6 +1839,40 @@ async function handleCheckLoginTab(payload) {
   return { status: 'failed' };
 }
 
+/**
+ * 处理标签页，没有时取最近的 TikTok 标签页；都没有时返回 undefined
+ */
+async function findTikTokTab() {
+  if (stateManager.state.process.tabId) return stateManager.state.process.tabId;
+  const tabs = await chrome.tabs.query({ url: '*://*.tiktok.com/*' });
+  return tabs[tabs.length - 1]?.id;
+}
+
+/**
+ * 选择器诊断：在处理标签页（没有时取最近的 TikTok 标签页）上检查当前选择器
+ * 不会新建标签页，诊断需要用户已打开的真实页面
+ * TEST_SELECTORS 用同一条路径，在页面上试匹配覆盖编辑器中尚未保存的值
+ */
+async function handleRunDiagnostics(type = 'RUN_DIAGNOSTICS', payload = {}) {
+  const tabId = await findTikTokTab();
+  if (!tabId) {
+    throw new Error('Open TikTok in a tab to run diagnostics');
+  }
+  if (!await ensureScriptsInjected(tabId)) {
+    throw new Error('Could not reach the TikTok tab');
+  }
+
+  const response = await chrome.tabs.sendMessage(tabId, {
+    type,
+    payload,
+    timestamp: Date.now()
+  });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Diagnostics failed');
+  }
+  return response.result;
+}
+
 function handleContentMessage(type, payload) {
   switch (type) {
     case 'UPDATE_PROGRESS':
@@ -544,24 +1885,82 @@ function handleContentMessage(type, payload) {
       break;
 
     case 'VIDEO_REMOVED':
-      const currentStats = stateManager.state.stats;
+      runHistory.recordItem('removed', payload);
+      // 记下所属账号：撤销删除只能在同一个账号上重新转发
+      const removedItem = { ...payload, account: runHistory.current?.username || null, removedAt: Date.now() };
+      removedStore.add(removedItem).catch(error => {
+        console.error('[YukiRem BG] Failed to store removed item:', error);
+      });
       stateManager.updateState({
         stats: {
-          removedVideos: currentStats.removedVideos + 1
+          removedVideos: stateManager.state.stats.removedVideos + 1
         },
-        removedList: [
-          ...stateManager.state.removedList,
-          {
-            ...payload,
-            removedAt: Date.now()
-          }
-        ]
+        lastRemoved: removedItem
+      });
+      break;
+
+    case 'VIDEO_REMOVE_FAILED':
+      // 点击后状态没有翻转：不写入删除列表，单独计数
+      runHistory.recordItem('failed', payload);
+      stateManager.updateState({
+        stats: {
+          failedVideos: (stateManager.state.stats.failedVideos || 0) + 1
+        }
+      });
+      break;
+
+    case 'RECONCILE_COMPLETE':
+      // 仍在列表中的条目并没有被删除：移出删除列表并修正计数，导出和恢复只针对真正删除的条目
+      const stillPresent = payload?.stillPresent || [];
+      Promise.all(stillPresent.map(item => removedStore.deleteByUrl(item.url))).catch(error => {
+        console.error('[YukiRem BG] Failed to drop unconfirmed items:', error);
+      });
+      runHistory.recordReconcile(payload);
+      stateManager.updateState({
+        stats: {
+          removedVideos: Math.max(0, stateManager.state.stats.removedVideos - stillPresent.length)
+        }
+      });
+      stateManager.saveToStorage();
+      break;
+
+    case 'VIDEO_RESTORED':
+      runHistory.recordItem('restored', payload);
+      // 已重新转发，从删除列表中移除，避免重复恢复
+      removedStore.deleteByUrl(payload.url).catch(error => {
+        console.error('[YukiRem BG] Failed to drop restored item:', error);
+      });
+      stateManager.updateState({
+        stats: {
+          restoredVideos: (stateManager.state.stats.restoredVideos || 0) + 1
+        }
+      });
+      break;
+
+    case 'VIDEO_RESTORE_FAILED':
+      // 重新转发没有生效：保留在删除列表中，之后可以再次恢复
+      runHistory.recordItem('failed', payload);
+      stateManager.updateState({
+        stats: {
+          failedVideos: (stateManager.state.stats.failedVideos || 0) + 1
+        }
       });
       break;
 
     case 'COMPLETE':
+    case 'SCAN_COMPLETE':
+    case 'RESTORE_COMPLETE':
     case 'ERROR':
     case 'NO_REPOSTS_FOUND':
+      if (type === 'ERROR') {
+        runHistory.finish('error');
+      } else {
+        runHistory.finish(payload?.limitReached ? 'limit' : 'complete');
+      }
+      // 运行已正常结束，不再续传；content script 因账号不一致拒绝续传时保留检查点，切回原账号后继续
+      if (payload?.reason !== 'account_mismatch') {
+        runCheckpoint.clear();
+      }
       // 处理完成，重置运行状态
       stateManager.updateState({
         process: {
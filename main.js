@@ -327,8 +327,18 @@ if (window.clearTokHasInitialized) {
       messageBus.workflow = workflow;
 
       // 注册需要 workflow 的处理器
-      messageBus.on('START_REMOVAL', async () => {
-        await workflow.start();
+      messageBus.on('START_REMOVAL', async (payload) => {
+        await workflow.start(payload.options || {}, payload.resume || null);
+      });
+
+      // 页面刷新后由 background 触发，从检查点继续
+      messageBus.on('RESUME_RUN', async (payload) => {
+        const checkpoint = payload.checkpoint || {};
+        await workflow.start(checkpoint.options || {}, checkpoint);
+      });
+
+      messageBus.on('PROCESS_VIDEO_PAGE', async (payload) => {
+        return workflow.processVideoPage(payload);
       });
 
       messageBus.on('CHECK_LOGIN_STATUS', async () => {
@@ -336,9 +346,15 @@ if (window.clearTokHasInitialized) {
       });
 
       messageBus.on('NAVIGATE_TO_REPOSTS', async () => {
-        await workflow.step_navigateToRepostsTab();
+        await workflow.step_navigateToTargetTab();
       });
 
+      // 侧边栏诊断面板：在当前页面上检查选择器
+      const diagnostics = new SelectorDiagnostics(config);
+      messageBus.on('RUN_DIAGNOSTICS', async () => diagnostics.run());
+      messageBus.on('TEST_SELECTORS', async ({ key, value }) => diagnostics.checkKey(key, value));
+      messageBus.on('CHECK_SELECTOR_BUNDLE', async ({ candidate, baseline }) => diagnostics.checkBundle(candidate, baseline));
+
       // 导出全局引用（更新已有的引用）
       window.workflow = workflow;
 
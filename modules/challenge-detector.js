@@ -0,0 +1,167 @@
+// /modules/challenge-detector.js
+
+/**
+ * 验证码 / 频率限制检测
+ *
+ * TikTok 在运行中途可能弹出拼图验证，或显示 "Too many requests" 之类的提示。
+ * 继续点击只会让 waitForElement 一路超时直到 handleError 结束整个流程，
+ * 所以这里用 MutationObserver 监视页面，发现弹层就暂停，弹层消失后自动恢复。
+ *
+ * 选择器在 challenge 分组中：
+ *   overlay        - 验证码弹层
+ *   rateLimitToast - 提示/toast 容器，文字包含 rateLimitTexts 之一时视为频率限制
+ *   rateLimitCooldownMs - 频率限制提示消失后，再等待多久才恢复
+ *
+ * 只恢复由检测器自己暂停的运行；用户手动暂停的不会被自动恢复。
+ */
+class ChallengeDetector {
+  /**
+   * @param {UIManager} ui
+   * @param {ConfigManager} config
+   * @param {StateStore} stateStore
+   * @param {MessageBus} messageBus
+   * @param {{onDetected?: function(string): void}} hooks - 检测到弹层时回调（用于通知节奏控制）
+   */
+  constructor(ui, config, stateStore, messageBus, hooks = {}) {
+    this.ui = ui;
+    this.config = config;
+    this.stateStore = stateStore;
+    this.messageBus = messageBus;
+    this.onDetected = hooks.onDetected || null;
+
+    this.observer = null;
+    this.checkTimer = null;
+    this.resumeTimer = null;
+    // 当前检测到的类型：'captcha' / 'rate_limit' / null
+    this.activeKind = null;
+    // 是否由检测器触发了暂停
+    this.pausedByDetector = false;
+  }
+
+  // 页面变化频繁，合并同一时间段内的多次变化只检查一次
+  static get CHECK_DEBOUNCE_MS() {
+    return 300;
+  }
+
+  // 验证码关闭后稍等片刻，让页面恢复
+  static get CAPTCHA_SETTLE_MS() {
+    return 2000;
+  }
+
+  start() {
+    if (this.observer || !document.body) return;
+    this.observer = new MutationObserver(() => this.scheduleCheck());
+    this.observer.observe(document.body, { childList: true, subtree: true });
+    // 开始时弹层可能已经存在
+    this.check();
+  }
+
+  stop() {
+    this.observer?.disconnect();
+    this.observer = null;
+    clearTimeout(this.checkTimer);
+    clearTimeout(this.resumeTimer);
+    this.checkTimer = null;
+    this.resumeTimer = null;
+    this.activeKind = null;
+    this.pausedByDetector = false;
+  }
+
+  scheduleCheck() {
+    if (this.checkTimer) return;
+    this.checkTimer = setTimeout(() => {
+      this.checkTimer = null;
+      this.check();
+    }, ChallengeDetector.CHECK_DEBOUNCE_MS);
+  }
+
+  /**
+   * @returns {'captcha'|'rate_limit'|null}
+   */
+  detect() {
+    if (this.ui.findElement('challenge.overlay')) return 'captcha';
+
+    const texts = (this.config.get('challenge.rateLimitTexts') || []).map(t => t.toLowerCase());
+    if (texts.length === 0) return null;
+    for (const toast of this.ui.findAllElements('challenge.rateLimitToast')) {
+      const text = (toast.textContent || '').toLowerCase();
+      if (texts.some(t => text.includes(t))) return 'rate_limit';
+    }
+    return null;
+  }
+
+  async check() {
+    const kind = this.detect();
+    if (kind && !this.activeKind) {
+      this.activeKind = kind;
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = null;
+      await this.handleDetected(kind);
+    } else if (!kind && this.activeKind) {
+      const previous = this.activeKind;
+      this.activeKind = null;
+      this.scheduleResume(previous);
+    }
+  }
+
+  async handleDetected(kind) {
+    const state = await this.stateStore.getState();
+    if (!state.process.isRunning) return;
+
+    console.warn(`[ClearTok] ${kind === 'captcha' ? 'Verification puzzle' : 'Rate limit notice'} detected, pausing`);
+    if (this.onDetected) this.onDetected(kind);
+
+    // 用户已经手动暂停时不接管
+    if (!state.process.isPaused) {
+      this.pausedByDetector = true;
+      await this.stateStore.setPaused(true);
+      if (window.clearTokBorder) window.clearTokBorder.updateState(true);
+    }
+
+    await this.messageBus.broadcast('CHALLENGE_DETECTED', { kind, paused: this.pausedByDetector });
+    await this.messageBus.broadcast('STATUS_UPDATE', kind === 'captcha' ? {
+      status: 'TikTok is asking for verification. Paused until it is solved...',
+      statusKey: 'statusChallengeCaptcha'
+    } : {
+      status: 'TikTok reports too many requests. Paused until it clears...',
+      statusKey: 'statusChallengeRateLimit'
+    });
+  }
+
+  scheduleResume(kind) {
+    if (!this.pausedByDetector) return;
+    const delay = kind === 'rate_limit'
+      ? Number(this.config.get('challenge.rateLimitCooldownMs')) || 60000
+      : ChallengeDetector.CAPTCHA_SETTLE_MS;
+
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.resume(kind);
+    }, delay);
+  }
+
+  async resume(kind) {
+    // 冷却期间弹层又出现了，等它再次消失
+    if (this.activeKind || !this.pausedByDetector) return;
+    this.pausedByDetector = false;
+
+    const state = await this.stateStore.getState();
+    if (!state.process.isRunning || !state.process.isPaused) return;
+
+    console.log('[ClearTok] Challenge cleared, resuming');
+    await this.stateStore.setPaused(false);
+    if (window.clearTokBorder) window.clearTokBorder.updateState(false);
+
+    await this.messageBus.broadcast('CHALLENGE_CLEARED', { kind });
+    await this.messageBus.broadcast('STATUS_UPDATE', {
+      status: 'Verification cleared, resuming...',
+      statusKey: 'statusChallengeCleared'
+    });
+  }
+}
+
+// 导出
+if (typeof window !== 'undefined') {
+  window.ChallengeDetector = ChallengeDetector;
+}
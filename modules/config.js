@@ -3,6 +3,17 @@
 class ConfigManager {
     constructor() {
       this.selectors = {};
+      // 后备文件中的选择器：远程下发的选择器缺少某个分组（例如新增的清理目标）时用它补齐
+      this.fallbackSelectors = {};
+      // checkMetaAndUpdate 下发并保存在 storage 中的选择器，没有时为 null
+      this.remoteSelectors = null;
+      // 用户在侧边栏编辑的本地覆盖：{ 'video.title': { value, updatedAt, baseValue, baseVersion } }
+      // 单独保存在 selectorOverrides 中，远程更新只会替换 selectors，不会覆盖这里
+      this.overrides = {};
+    }
+
+    static get OVERRIDES_STORAGE_KEY() {
+      return 'selectorOverrides';
     }
   
     /**
@@ -10,45 +21,106 @@ class ConfigManager {
      * @returns {Promise<void>}
      */
     async init() {
-      try {
-        const { selectors } = await chrome.storage.local.get('selectors');
-        if (selectors && Object.keys(selectors).length > 0) {
-          this.selectors = selectors;
-          console.log('[ClearTok] Selectors loaded from storage.');
-          // 异步检查更新，但不阻塞初始化
-          this.listenForUpdates();
-          return;
-        }
-      } catch (error) {
-        console.error('[ClearTok] Error loading selectors from storage:', error);
-      }
-  
-      // 如果存储中没有，则从后备文件加载
+      await this.loadFallback();
+      await this.loadStored();
+      this.listenForUpdates();
+    }
+
+    /**
+     * 从扩展内置的后备文件加载选择器
+     */
+    async loadFallback() {
       const fallbackUrl = chrome.runtime.getURL('assets/selectors-fallback.json');
-      console.log('[ClearTok] No selectors in storage, loading from fallback:', fallbackUrl);
       try {
         const res = await fetch(fallbackUrl);
         const json = await res.json();
-        this.selectors = json.selectors;
-        console.log('[ClearTok] Selectors loaded from fallback JSON.');
+        this.fallbackSelectors = json.selectors || {};
+        console.log('[ClearTok] Fallback selectors loaded:', fallbackUrl);
       } catch (error) {
         console.error('[ClearTok] Failed to load fallback selectors:', error);
       }
-      this.listenForUpdates();
+    }
+
+    /**
+     * 读取远程下发的选择器和本地覆盖，重新计算生效的选择器
+     */
+    async loadStored() {
+      try {
+        const stored = await chrome.storage.local.get(['selectors', ConfigManager.OVERRIDES_STORAGE_KEY]);
+        const { selectors } = stored;
+        this.remoteSelectors = selectors && Object.keys(selectors).length > 0 ? selectors : null;
+        this.overrides = stored[ConfigManager.OVERRIDES_STORAGE_KEY] || {};
+      } catch (error) {
+        console.error('[ClearTok] Error loading selectors from storage:', error);
+      }
+
+      if (this.remoteSelectors) {
+        console.log('[ClearTok] Selectors loaded from storage.');
+      } else {
+        // 如果存储中没有，则使用后备文件
+        console.log('[ClearTok] No selectors in storage, using fallback JSON.');
+      }
+      this.rebuild();
+    }
+
+    /**
+     * 后备 → 远程 → 本地覆盖，逐层合并
+     * 远程包按分组内的键合并：远程分组缺少的键沿用后备值，与 getBase / sourceOf 一致
+     */
+    rebuild() {
+      const base = { ...this.fallbackSelectors };
+      for (const [group, entries] of Object.entries(this.remoteSelectors || {})) {
+        base[group] = { ...(this.fallbackSelectors[group] || {}), ...entries };
+      }
+      this.selectors = base;
+
+      const applied = [];
+      for (const [key, override] of Object.entries(this.overrides)) {
+        const [group, name] = key.split('.');
+        if (!group || !name || override?.value === undefined) continue;
+        // 编辑器保存前已校验，这里再校验一次，避免手动改坏的 storage 影响运行
+        if (window.SelectorSchema && !SelectorSchema.validate(key, override.value).valid) {
+          console.warn(`[ClearTok] Ignoring invalid selector override: ${key}`);
+          continue;
+        }
+        this.selectors[group] = { ...(this.selectors[group] || {}), [name]: override.value };
+        applied.push(key);
+      }
+      if (applied.length > 0) {
+        console.log(`[ClearTok] Applied ${applied.length} local selector override(s):`, applied);
+      }
+    }
+
+    /**
+     * 不含本地覆盖时某个键的值（编辑器用它判断远程是否在覆盖之后又更新过）
+     */
+    getBase(key) {
+      const [group, name] = key.split('.');
+      const remote = this.remoteSelectors?.[group];
+      if (remote && name in remote) return remote[name];
+      return this.fallbackSelectors[group]?.[name] ?? null;
+    }
+
+    /**
+     * 某个键当前生效的值来自哪里
+     * @returns {'override'|'remote'|'fallback'}
+     */
+    sourceOf(key) {
+      if (this.overrides[key]) return 'override';
+      const [group, name] = key.split('.');
+      const remote = this.remoteSelectors?.[group];
+      return remote && name in remote ? 'remote' : 'fallback';
     }
   
     /**
-     * 监听来自后台脚本的选择器更新消息
+     * 监听来自后台脚本的选择器更新消息，以及侧边栏保存的本地覆盖
      */
     listenForUpdates() {
       chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         // 使用新的消息格式
         if (msg.type === 'SELECTORS_UPDATED') {
-          chrome.storage.local.get('selectors').then(({ selectors }) => {
-            if (selectors) {
-              this.selectors = selectors;
-              console.log('[ClearTok] ✨ Selectors hot-reloaded!');
-            }
+          this.loadStored().then(() => {
+            console.log('[ClearTok] ✨ Selectors hot-reloaded!');
             // 确认消息已处理
             sendResponse({ success: true, result: 'reloaded selectors' });
           });
@@ -56,6 +128,13 @@ class ConfigManager {
           return true;
         }
       });
+
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area !== 'local' || !changes[ConfigManager.OVERRIDES_STORAGE_KEY]) return;
+        this.overrides = changes[ConfigManager.OVERRIDES_STORAGE_KEY].newValue || {};
+        this.rebuild();
+        console.log('[ClearTok] ✨ Selector overrides reloaded!');
+      });
     }
   
     /**
@@ -0,0 +1,134 @@
+// /modules/diagnostics.js
+
+/**
+ * 选择器健康检查
+ *
+ * 在当前页面上逐个评估选择器分组中的每个键，以及每个键的后备数组中的每一条选择器：
+ *   matched - 在页面上找到了元素（findElement 会使用数组中第一条匹配的）
+ *   none    - 语法正确但没有匹配
+ *   invalid - querySelectorAll 抛出异常（findElement 会记录错误后跳过）
+ * 语义定位器条目以 JSON 形式显示，按 SemanticLocator.findAll 计数。
+ * TikTok 改版时可以先在侧边栏看到哪些键失效，而不是等到运行失败。
+ * 每个键附带 source（override / remote / fallback），用户能看出失效的是不是自己的本地覆盖。
+ */
+class SelectorDiagnostics {
+  /**
+   * @param {ConfigManager} config
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  static get GROUPS() {
+    return ['navigation', 'video', 'loginStatus'];
+  }
+
+  /**
+   * @param {string[]} groups - 要检查的选择器分组
+   * @returns {{url: string, checkedAt: number, summary: {matched: number, none: number, invalid: number}, groups: Array<object>}}
+   */
+  run(groups = SelectorDiagnostics.GROUPS) {
+    const summary = { matched: 0, none: 0, invalid: 0 };
+
+    const report = groups.map((group) => {
+      const entries = this.config.selectors?.[group];
+      if (!entries || typeof entries !== 'object') {
+        return { group, missing: true, keys: [] };
+      }
+
+      const keys = Object.entries(entries)
+        .filter(([name, value]) => SelectorDiagnostics.isSelectorKey(`${group}.${name}`, value))
+        .map(([name, value]) => {
+          const key = `${group}.${name}`;
+          const result = { ...this.checkKey(key, value), source: this.config.sourceOf(key) };
+          summary[result.status]++;
+          return result;
+        });
+      return { group, missing: false, keys };
+    });
+
+    return { url: window.location.href, checkedAt: Date.now(), summary, groups: report };
+  }
+
+  /**
+   * 远程选择器包的健康检查：在安装新包后由 background 调用
+   * 新包中语法错误的键，或旧包（没有时用后备文件）能匹配而新包匹配不到的键，都视为退化
+   * @param {object} candidate - 新包的 selectors
+   * @param {object|null} baseline - 上一个通过检查的包的 selectors
+   * @returns {{url: string, healthy: boolean, invalid: string[], regressions: string[]}}
+   */
+  checkBundle(candidate, baseline, groups = SelectorDiagnostics.GROUPS) {
+    const reference = baseline || this.config.fallbackSelectors;
+    const invalid = [];
+    const regressions = [];
+
+    for (const group of groups) {
+      for (const [name, value] of Object.entries(candidate?.[group] || {})) {
+        const key = `${group}.${name}`;
+        if (!SelectorDiagnostics.isSelectorKey(key, value)) continue;
+
+        const result = this.checkKey(key, value);
+        if (result.status === 'invalid') {
+          invalid.push(key);
+        } else if (result.status === 'none') {
+          const previous = reference?.[group]?.[name];
+          if (SelectorDiagnostics.isSelectorValue(previous) && this.checkKey(key, previous).status === 'matched') {
+            regressions.push(key);
+          }
+        }
+      }
+    }
+
+    return {
+      url: window.location.href,
+      healthy: invalid.length === 0 && regressions.length === 0,
+      invalid,
+      regressions
+    };
+  }
+
+  /**
+   * 分组中也有属性名、颜色等非选择器配置：已知的键按 SelectorSchema 判断，
+   * 远程新增、schema 里还没有的键按值的形状判断
+   */
+  static isSelectorKey(key, value) {
+    const type = SelectorSchema.typeOf(key);
+    return type ? type === 'selector' : SelectorDiagnostics.isSelectorValue(value);
+  }
+
+  static isSelectorValue(value) {
+    const isEntry = item => typeof item === 'string' || SemanticLocator.isLocator(item);
+    return isEntry(value) || (Array.isArray(value) && value.every(isEntry));
+  }
+
+  /**
+   * @returns {{key: string, status: 'matched'|'none'|'invalid', matchedSelector: string|null, selectors: Array<object>}}
+   */
+  checkKey(key, value) {
+    const selectors = (Array.isArray(value) ? value : [value]).map((entry) => {
+      const selector = SemanticLocator.describe(entry);
+      try {
+        const count = SemanticLocator.isLocator(entry)
+          ? SemanticLocator.findAll(entry).length
+          : document.querySelectorAll(entry).length;
+        return { selector, status: count > 0 ? 'matched' : 'none', count };
+      } catch (error) {
+        return { selector, status: 'invalid', count: 0, error: error.message };
+      }
+    });
+
+    const matched = selectors.find(s => s.status === 'matched');
+    let status = 'none';
+    if (matched) {
+      status = 'matched';
+    } else if (selectors.some(s => s.status === 'invalid')) {
+      status = 'invalid';
+    }
+    return { key, status, matchedSelector: matched?.selector || null, selectors };
+  }
+}
+
+// 导出
+if (typeof window !== 'undefined') {
+  window.SelectorDiagnostics = SelectorDiagnostics;
+}
@@ -0,0 +1,168 @@
+// /modules/filters.js
+
+/**
+ * 选择性删除规则
+ *
+ * 规则保存在 chrome.storage.local 的 removalFilters 中（与 quotaInfo 并列），由侧边栏编辑。
+ * 每个 TikTok 账号可以有自己的规则（removalFilters:<用户名>），账号没有单独的规则时使用 removalFilters。
+ * 结构：
+ * {
+ *   enabled: boolean,
+ *   authorAllow: string[],   // 非空时仅删除这些作者的转发
+ *   authorDeny: string[],    // 永不删除这些作者的转发
+ *   keywords: string[],      // 非空时仅删除描述中包含任一关键词的转发
+ *   videoIdAllow: string[],  // 非空时仅删除这些视频
+ *   videoIdDeny: string[],   // 永不删除这些视频
+ *   olderThanDays: number    // 大于 0 时仅删除发布时间早于 N 天前的视频
+ * }
+ */
+class RemovalFilter {
+  constructor(rules = {}) {
+    this.rules = RemovalFilter.normalize(rules);
+  }
+
+  static get STORAGE_KEY() {
+    return 'removalFilters';
+  }
+
+  /**
+   * @param {string|null} account - TikTok 用户名（小写）
+   */
+  static storageKeyFor(account) {
+    return account ? `${RemovalFilter.STORAGE_KEY}:${account}` : RemovalFilter.STORAGE_KEY;
+  }
+
+  /**
+   * 从 storage 加载规则
+   * @param {object} overrides - 本次运行覆盖的规则（例如定时清理指定的 olderThanDays）
+   * @param {string|null} account - 运行所属的账号，优先使用该账号的规则
+   * @returns {Promise<RemovalFilter>}
+   */
+  static async load(overrides = {}, account = null) {
+    try {
+      const accountKey = RemovalFilter.storageKeyFor(account);
+      const result = await chrome.storage.local.get([RemovalFilter.STORAGE_KEY, accountKey]);
+      const rules = result[accountKey] || result[RemovalFilter.STORAGE_KEY] || {};
+      return RemovalFilter.withOverrides(rules, overrides);
+    } catch (error) {
+      console.warn('[ClearTok] Failed to load removal filters, applying only this run\'s rules:', error);
+      return RemovalFilter.withOverrides({}, overrides);
+    }
+  }
+
+  /**
+   * 合并侧边栏规则和本次运行的覆盖规则
+   * 覆盖规则（定时清理的 olderThanDays）不受侧边栏"应用规则"开关影响：
+   * 开关关闭时只应用覆盖规则，否则"只删除 N 天前的视频"的定时清理会删除全部转发
+   */
+  static withOverrides(rules = {}, overrides = {}) {
+    if (Object.keys(overrides).length === 0) return new RemovalFilter(rules);
+    const base = rules.enabled === false ? {} : rules;
+    return new RemovalFilter({ ...base, ...overrides, enabled: true });
+  }
+
+  /**
+   * 统一规则格式：作者去掉 @ 并小写，关键词小写，视频 ID 只保留数字部分
+   */
+  static normalize(rules) {
+    const list = (value) => (Array.isArray(value) ? value : [])
+      .map(item => String(item ?? '').trim())
+      .filter(Boolean);
+
+    return {
+      enabled: rules.enabled !== false,
+      authorAllow: list(rules.authorAllow).map(RemovalFilter.normalizeAuthor),
+      authorDeny: list(rules.authorDeny).map(RemovalFilter.normalizeAuthor),
+      keywords: list(rules.keywords).map(k => k.toLowerCase()),
+      videoIdAllow: list(rules.videoIdAllow).map(RemovalFilter.normalizeVideoId).filter(Boolean),
+      videoIdDeny: list(rules.videoIdDeny).map(RemovalFilter.normalizeVideoId).filter(Boolean),
+      olderThanDays: Math.max(0, Number.parseInt(rules.olderThanDays, 10) || 0)
+    };
+  }
+
+  static normalizeAuthor(author) {
+    return String(author || '').trim().replace(/^@/, '').toLowerCase();
+  }
+
+  /**
+   * 接受纯 ID 或完整视频链接
+   */
+  static normalizeVideoId(value) {
+    const text = String(value || '').trim();
+    const fromUrl = text.match(/\/video\/(\d+)/);
+    if (fromUrl) return fromUrl[1];
+    return /^\d+$/.test(text) ? text : '';
+  }
+
+  /**
+   * TikTok 视频 ID 是 snowflake：高 32 位是发布时间（Unix 秒）
+   * @returns {number|null} 毫秒时间戳
+   */
+  static postedAtFromVideoId(videoId) {
+    if (!/^\d+$/.test(String(videoId || ''))) return null;
+    try {
+      return Number(BigInt(videoId) >> 32n) * 1000;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * 是否配置了任何规则
+   */
+  isActive() {
+    const r = this.rules;
+    return r.enabled && (
+      r.authorAllow.length > 0 || r.authorDeny.length > 0 || r.keywords.length > 0 ||
+      r.videoIdAllow.length > 0 || r.videoIdDeny.length > 0 || r.olderThanDays > 0
+    );
+  }
+
+  /**
+   * 判断一条转发是否应被删除
+   * @param {{author?: string, title?: string, description?: string, videoId?: string, url?: string, postedAt?: number}} videoInfo
+   * @returns {{match: boolean, reason: string}}
+   */
+  evaluate(videoInfo = {}) {
+    if (!this.isActive()) return { match: true, reason: '' };
+
+    const r = this.rules;
+    const author = RemovalFilter.normalizeAuthor(videoInfo.author);
+    const videoId = videoInfo.videoId || RemovalFilter.normalizeVideoId(videoInfo.url);
+    const text = (videoInfo.description || videoInfo.title || '').toLowerCase();
+
+    // 排除规则优先于包含规则
+    if (videoId && r.videoIdDeny.includes(videoId)) {
+      return { match: false, reason: `Video ${videoId} is on the keep list` };
+    }
+    if (author && r.authorDeny.includes(author)) {
+      return { match: false, reason: `Author @${author} is on the keep list` };
+    }
+    if (r.videoIdAllow.length > 0 && !r.videoIdAllow.includes(videoId)) {
+      return { match: false, reason: 'Video ID not in the removal list' };
+    }
+    if (r.authorAllow.length > 0 && !r.authorAllow.includes(author)) {
+      return { match: false, reason: `Author @${author || 'unknown'} not in the removal list` };
+    }
+    if (r.keywords.length > 0 && !r.keywords.some(keyword => text.includes(keyword))) {
+      return { match: false, reason: 'Description matches no removal keyword' };
+    }
+    if (r.olderThanDays > 0) {
+      // 无法确定发布时间时保留，宁可少删
+      const postedAt = videoInfo.postedAt || RemovalFilter.postedAtFromVideoId(videoId);
+      if (!postedAt) {
+        return { match: false, reason: 'Post date unknown' };
+      }
+      if (postedAt > Date.now() - r.olderThanDays * 24 * 60 * 60 * 1000) {
+        return { match: false, reason: `Posted within the last ${r.olderThanDays} days` };
+      }
+    }
+
+    return { match: true, reason: '' };
+  }
+}
+
+// 导出
+if (typeof window !== 'undefined') {
+  window.RemovalFilter = RemovalFilter;
+}
@@ -0,0 +1,125 @@
+// /modules/locators.js
+
+/**
+ * 语义定位器
+ *
+ * 选择器配置中的值除了 CSS 字符串，还可以是定位器对象：按角色、可访问名称和文字查找元素。
+ * TikTok 改了 class / data-e2e，或者界面不是英文时，CSS 和写死的英文文字都会失效，定位器作为后备。
+ * UIManager 先尝试键中所有 CSS 选择器，都没有匹配时再按顺序尝试定位器。
+ *
+ * 字段（至少需要 role / name / text 之一）：
+ *   role     - ARIA 角色，匹配显式 role 属性和常见标签的隐式角色
+ *   name     - 可访问名称：aria-labelledby、aria-label、alt、title，都没有时用文字内容
+ *   text     - 文字内容
+ *   exact    - name / text 是否要求完全相等（默认 false，包含即可），不区分大小写
+ *   selector - 候选元素的 CSS 范围
+ *   within   - 结构提示：元素必须位于匹配此 CSS 的祖先内
+ *   has      - 结构提示：元素必须包含匹配此 CSS 的后代
+ * name / text 可以是字符串、字符串数组，或按语言分组的对象 { "en": "Reposts", "es": [...] }，
+ * 任一语言的文字匹配即可。
+ */
+class SemanticLocator {
+  static get IMPLICIT_ROLES() {
+    return {
+      button: 'button, input[type="button"], input[type="submit"], summary',
+      link: 'a[href]',
+      heading: 'h1, h2, h3, h4, h5, h6',
+      img: 'img[alt]',
+      textbox: 'input:not([type]), input[type="text"], input[type="search"], textarea',
+      list: 'ul, ol',
+      listitem: 'li',
+      dialog: 'dialog'
+    };
+  }
+
+  static isLocator(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * @returns {Element|null}
+   */
+  static find(locator, parent = document) {
+    return SemanticLocator.findAll(locator, parent)[0] || null;
+  }
+
+  /**
+   * 只保留最内层的匹配：按文字包含匹配时，外层容器的文字也包含目标文字
+   * @returns {Element[]}
+   */
+  static findAll(locator, parent = document) {
+    const names = SemanticLocator.variants(locator.name);
+    const texts = SemanticLocator.variants(locator.text);
+
+    const matches = Array.from(parent.querySelectorAll(SemanticLocator.candidateSelector(locator))).filter((element) => {
+      if (locator.role && SemanticLocator.roleOf(element) !== locator.role) return false;
+      if (locator.within && !element.closest(locator.within)) return false;
+      if (locator.has && !element.querySelector(locator.has)) return false;
+      if (names.length > 0 && !SemanticLocator.matches(SemanticLocator.accessibleName(element), names, locator.exact)) return false;
+      if (texts.length > 0 && !SemanticLocator.matches(SemanticLocator.normalize(element.textContent), texts, locator.exact)) return false;
+      return true;
+    });
+
+    return matches.filter(element => !matches.some(other => other !== element && element.contains(other)));
+  }
+
+  static candidateSelector(locator) {
+    if (locator.selector) return locator.selector;
+    if (locator.role) {
+      const implicit = SemanticLocator.IMPLICIT_ROLES[locator.role];
+      return implicit ? `[role="${locator.role}"], ${implicit}` : `[role="${locator.role}"]`;
+    }
+    return 'body *';
+  }
+
+  static roleOf(element) {
+    const explicit = element.getAttribute('role');
+    if (explicit) return explicit.trim().split(/\s+/)[0];
+    for (const [role, selector] of Object.entries(SemanticLocator.IMPLICIT_ROLES)) {
+      if (element.matches(selector)) return role;
+    }
+    return null;
+  }
+
+  static accessibleName(element) {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const label = labelledBy.split(/\s+/)
+        .map(id => document.getElementById(id)?.textContent || '')
+        .join(' ');
+      if (label.trim()) return SemanticLocator.normalize(label);
+    }
+    return SemanticLocator.normalize(
+      element.getAttribute('aria-label') || element.getAttribute('alt') || element.getAttribute('title') || element.textContent
+    );
+  }
+
+  /**
+   * 把字符串 / 数组 / 按语言分组的对象展开为小写的文字列表
+   */
+  static variants(value) {
+    if (!value) return [];
+    const list = typeof value === 'string' ? [value] : (Array.isArray(value) ? value : Object.values(value).flat());
+    return list.filter(item => typeof item === 'string').map(SemanticLocator.normalize).filter(Boolean);
+  }
+
+  static matches(actual, variants, exact = false) {
+    return exact ? variants.includes(actual) : variants.some(variant => actual.includes(variant));
+  }
+
+  static normalize(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * 诊断面板中显示用
+   */
+  static describe(entry) {
+    return typeof entry === 'string' ? entry : JSON.stringify(entry);
+  }
+}
+
+// 导出
+if (typeof window !== 'undefined') {
+  window.SemanticLocator = SemanticLocator;
+}
@@ -194,7 +194,7 @@ class MessageBus {
       'RESTORE_STATE': async (payload) => {
         // 恢复状态（当标签页刷新后）
         if (this.stateStore) {
-          this.stateStore.state = payload;
+          this.stateStore.replaceState(payload);
           console.log('[ClearTok] State restored after page reload');
         }
       }
@@ -0,0 +1,148 @@
+// /modules/repost-state.js
+
+/**
+ * 转发按钮状态检测
+ *
+ * 原来只要 aria-pressed、按钮颜色不是纯白、或有任意填充的 SVG 之一成立就认为"已转发"，
+ * 浅色主题和非默认配色下几乎所有按钮都会被误判。这里改为给多个信号打分：
+ *   pressedAttribute - 属性为 true / false（权重 3）
+ *   activeLabels / inactiveLabels - 按钮可访问名称（多语言，权重 3）
+ *   activeFillColors / inactiveColors - 按钮或图标颜色为激活颜色 / 按钮文字颜色为未激活颜色（权重 2）
+ *   activeClasses    - class 中含有完整的激活 class（权重 1，只作为加分项）
+ * 颜色和 class 只是辅助证据：判定为 active（随后会被点击）必须有 aria-pressed 或按钮名称投票 active，
+ * 否则返回 ambiguous。判定为 inactive 不受此限制，点击后可以靠颜色确认已取消。
+ * 信号都在 selectors 的 repostStatus 分组中配置。置信度低于 minConfidence 时返回 ambiguous，
+ * 由调用方跳过该条目而不是点击（点错会把未转发的视频转发出去）。
+ */
+class RepostStateDetector {
+  /**
+   * @param {ConfigManager} config
+   * @param {string} group - 选择器分组
+   */
+  constructor(config, group = 'repostStatus') {
+    this.config = config;
+    this.group = group;
+  }
+
+  static get WEIGHTS() {
+    return { pressed: 3, label: 3, color: 2, className: 1 };
+  }
+
+  // 判定为 active 时至少需要其中一个信号投票 active
+  static get STRONG_SIGNALS() {
+    return ['pressed', 'label'];
+  }
+
+  // 证据总权重达到这个值时置信度才可能为 1（单独一个弱信号不足以下结论）
+  static get FULL_EVIDENCE() {
+    return 3;
+  }
+
+  static get DEFAULT_MIN_CONFIDENCE() {
+    return 0.6;
+  }
+
+  // 不用 config.get：可选信号未配置时不记警告
+  option(name) {
+    return this.config.selectors?.[this.group]?.[name] ?? null;
+  }
+
+  /**
+   * @param {Element} button - 转发按钮
+   * @returns {{state: 'active'|'inactive'|'ambiguous', confidence: number, signals: Array<{signal: string, vote: string}>}}
+   */
+  evaluate(button) {
+    const signals = [
+      this.pressedSignal(button),
+      this.labelSignal(button),
+      this.colorSignal(button),
+      this.classSignal(button)
+    ].filter(Boolean);
+
+    const { WEIGHTS } = RepostStateDetector;
+    let active = 0;
+    let inactive = 0;
+    for (const { signal, vote } of signals) {
+      if (vote === 'active') active += WEIGHTS[signal];
+      if (vote === 'inactive') inactive += WEIGHTS[signal];
+    }
+
+    const evidence = active + inactive;
+    const confidence = evidence === 0
+      ? 0
+      : (Math.abs(active - inactive) / evidence) * Math.min(1, evidence / RepostStateDetector.FULL_EVIDENCE);
+    // 允许配置为 0（只要有倾向就下结论）
+    const configured = Number(this.option('minConfidence'));
+    const minConfidence = this.option('minConfidence') !== null && Number.isFinite(configured)
+      ? configured
+      : RepostStateDetector.DEFAULT_MIN_CONFIDENCE;
+
+    const hasStrongActive = signals.some(({ signal, vote }) =>
+      vote === 'active' && RepostStateDetector.STRONG_SIGNALS.includes(signal));
+
+    let state = active > inactive ? 'active' : 'inactive';
+    if (evidence === 0 || active === inactive || confidence < minConfidence) state = 'ambiguous';
+    if (state === 'active' && !hasStrongActive) state = 'ambiguous';
+    return { state, confidence: Math.round(confidence * 100) / 100, signals };
+  }
+
+  pressedSignal(button) {
+    const attribute = this.option('pressedAttribute');
+    const value = attribute ? button.getAttribute(attribute) : null;
+    if (value === 'true') return { signal: 'pressed', vote: 'active' };
+    if (value === 'false') return { signal: 'pressed', vote: 'inactive' };
+    return null;
+  }
+
+  /**
+   * 激活文字按包含匹配（"Remove repost"）；未激活文字要求完全相等，避免 "Repost" 命中 "Remove repost"
+   */
+  labelSignal(button) {
+    const name = SemanticLocator.accessibleName(button);
+    if (!name) return null;
+    const activeLabels = SemanticLocator.variants(this.option('activeLabels'));
+    const inactiveLabels = SemanticLocator.variants(this.option('inactiveLabels'));
+    if (SemanticLocator.matches(name, activeLabels)) return { signal: 'label', vote: 'active' };
+    if (SemanticLocator.matches(name, inactiveLabels, true)) return { signal: 'label', vote: 'inactive' };
+    return null;
+  }
+
+  /**
+   * 激活颜色看按钮和图标；未激活颜色只看按钮文字颜色（默认白色，深色播放器上未转发的按钮）
+   * 两者都不匹配时不投票：主题不同时颜色无法穷举
+   */
+  colorSignal(button) {
+    const lower = list => (list || []).map(color => String(color).toLowerCase());
+    const activeColors = lower(this.option('activeFillColors'));
+    const inactiveColors = lower(this.option('inactiveColors'));
+    if (activeColors.length === 0 && inactiveColors.length === 0) return null;
+
+    const buttonColor = window.getComputedStyle(button).color.toLowerCase();
+    const isActiveColor = activeColors.includes(buttonColor) ||
+      Array.from(button.querySelectorAll('svg [fill], svg')).some((node) => {
+        const fill = (node.getAttribute('fill') || '').toLowerCase();
+        const computed = window.getComputedStyle(node).color.toLowerCase();
+        return activeColors.includes(fill) || activeColors.includes(computed);
+      });
+    if (isActiveColor) return { signal: 'color', vote: 'active' };
+    if (inactiveColors.includes(buttonColor)) return { signal: 'color', vote: 'inactive' };
+    return null;
+  }
+
+  /**
+   * 按完整的 class 匹配，避免 "active" 命中 "interactive"
+   */
+  classSignal(button) {
+    const keywords = (this.option('activeClasses') || []).map(keyword => keyword.toLowerCase());
+    const classes = (button.getAttribute('class') || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (keywords.some(keyword => classes.includes(keyword))) {
+      return { signal: 'className', vote: 'active' };
+    }
+    return null;
+  }
+}
+
+// 导出
+if (typeof window !== 'undefined') {
+  window.RepostStateDetector = RepostStateDetector;
+}
@@ -0,0 +1,316 @@
+// /modules/selector-schema.js
+
+/**
+ * 选择器配置的结构说明
+ *
+ * 同时在 content script（ConfigManager 应用本地覆盖前校验）和侧边栏（覆盖编辑器保存前校验）中使用。
+ * 每个键的类型：
+ *   selector  - CSS 选择器字符串、语义定位器对象（见 modules/locators.js），或按顺序尝试的数组
+ *   attribute - 单个属性名，例如 aria-pressed
+ *   list      - 普通字符串数组（颜色、按钮文字、提示文字）
+ *   text      - 可本地化的文字：字符串、字符串数组，或按语言分组的对象 { "en": [...], "es": "..." }
+ *   number    - 非负数
+ *
+ * background 也通过 importScripts 加载本文件，用于校验远程下发的选择器包并迁移旧结构。
+ */
+class SelectorSchema {
+  /**
+   * 当前支持的选择器包结构版本，对应 assets/selectors-fallback.json 的 schema_version
+   *   1 - 值只有 CSS 字符串 / 字符串数组 / 数字
+   *   2 - 选择器值还可以是语义定位器对象；只支持 1 版的旧扩展会把对象当作选择器拼接而报错，
+   *       CDN 只向支持 2 版的扩展下发含定位器的包
+   */
+  static get CURRENT_VERSION() {
+    return 2;
+  }
+
+  /**
+   * 结构迁移：MIGRATIONS[n] 把 n 版的包转换为 n+1 版
+   * 例如将来把 video.nextButton 改名为 video.next 时，旧扩展保存的包在这里补一步改名
+   */
+  static get MIGRATIONS() {
+    return {
+      // 1 版的值在 2 版中含义不变；1 版包里出现对象说明包本身有问题
+      1: (bundle) => {
+        const groups = Object.values(bundle.selectors || {});
+        const hasObjects = groups.some(group => Object.values(group || {}).some(value =>
+          (Array.isArray(value) ? value : [value]).some(SelectorSchema.isLocator)));
+        if (hasObjects) {
+          throw new Error('schema_version 1 bundles cannot contain semantic locators');
+        }
+        return bundle;
+      }
+    };
+  }
+
+  // 远程包必须包含的分组，其余分组缺失时由后备文件补齐
+  static get REQUIRED_GROUPS() {
+    return ['navigation', 'video'];
+  }
+
+  static get FIELDS() {
+    return {
+      'navigation.profileButton': 'selector',
+      'navigation.repostTab': 'selector',
+      'navigation.repostTabFallback': 'selector',
+
+      'loginStatus.profileLink': 'selector',
+      'loginStatus.avatarImage': 'selector',
+      'loginStatus.svgIcon': 'selector',
+
+      'video.containers': 'selector',
+      'video.title': 'selector',
+      'video.author': 'selector',
+      'video.repostButton': 'selector',
+      'video.nextButton': 'selector',
+      'video.closeButton': 'selector',
+      'video.postDate': 'selector',
+
+      'likes.tab': 'selector',
+      'likes.containers': 'selector',
+      'likes.actionButton': 'selector',
+      'likes.pressedAttribute': 'attribute',
+      'likes.activeFillColors': 'list',
+
+      'favorites.tab': 'selector',
+      'favorites.containers': 'selector',
+      'favorites.actionButton': 'selector',
+      'favorites.pressedAttribute': 'attribute',
+      'favorites.activeFillColors': 'list',
+
+      'following.openList': 'selector',
+      'following.listContainer': 'selector',
+      'following.rows': 'selector',
+      'following.userLink': 'selector',
+      'following.nickname': 'selector',
+      'following.actionButton': 'selector',
+      'following.activeTexts': 'text',
+      'following.closeButton': 'selector',
+
+      'challenge.overlay': 'selector',
+      'challenge.rateLimitToast': 'selector',
+      'challenge.rateLimitTexts': 'list',
+      'challenge.rateLimitCooldownMs': 'number',
+
+      'repostStatus.activeClasses': 'list',
+      'repostStatus.pressedAttribute': 'attribute',
+      'repostStatus.activeFillColors': 'list',
+      'repostStatus.inactiveColors': 'list',
+      'repostStatus.activeLabels': 'text',
+      'repostStatus.inactiveLabels': 'text',
+      'repostStatus.minConfidence': 'number'
+    };
+  }
+
+  /**
+   * @param {string} key - 例如 'video.title'
+   * @returns {'selector'|'attribute'|'list'|'text'|'number'|null}
+   */
+  static typeOf(key) {
+    return SelectorSchema.FIELDS[key] || null;
+  }
+
+  /**
+   * 检查单条 CSS 选择器的语法（不需要真实页面）
+   * @returns {string|null} 错误信息，语法正确时为 null
+   */
+  static checkSyntax(selector) {
+    // service worker 中没有 DOM，只能在页面上的健康检查时发现语法错误
+    if (typeof document === 'undefined') return null;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * 按键的类型校验一个值
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  static validate(key, value) {
+    const type = SelectorSchema.typeOf(key);
+    if (!type) {
+      return { valid: false, errors: [`Unknown selector key: ${key}`] };
+    }
+
+    const errors = [];
+    const isStringList = Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+    switch (type) {
+      case 'selector': {
+        const selectors = Array.isArray(value) ? value : [value];
+        const isEntry = item => (typeof item === 'string' && item.trim()) || SelectorSchema.isLocator(item);
+        if (selectors.length === 0 || !selectors.every(isEntry)) {
+          errors.push('Expected a selector or a list of selectors');
+          break;
+        }
+        for (const selector of selectors) {
+          if (typeof selector === 'string') {
+            const error = SelectorSchema.checkSyntax(selector);
+            if (error) errors.push(`${selector}: ${error}`);
+          } else {
+            errors.push(...SelectorSchema.validateLocator(selector));
+          }
+        }
+        break;
+      }
+      case 'attribute':
+        if (typeof value !== 'string' || !/^[a-zA-Z_:][-a-zA-Z0-9_:.]*$/.test(value)) {
+          errors.push('Expected a single attribute name');
+        }
+        break;
+      case 'list':
+        if (!isStringList || value.length === 0) {
+          errors.push('Expected a list of values');
+        }
+        break;
+      case 'text':
+        if (!SelectorSchema.isLocalizedText(value)) {
+          errors.push('Expected text, a list, or text grouped by language');
+        }
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          errors.push('Expected a non-negative number');
+        }
+        break;
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  static isLocator(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * 字符串、字符串数组，或按语言分组的对象（值为字符串或字符串数组）
+   */
+  static isLocalizedText(value) {
+    const isText = item => typeof item === 'string' || (Array.isArray(item) && item.every(entry => typeof entry === 'string'));
+    return isText(value) || (SelectorSchema.isLocator(value) && Object.values(value).every(isText));
+  }
+
+  /**
+   * 校验语义定位器对象的字段
+   * @returns {string[]} 错误信息
+   */
+  static validateLocator(locator) {
+    const errors = [];
+    const label = JSON.stringify(locator);
+    const allowed = ['role', 'name', 'text', 'exact', 'selector', 'within', 'has'];
+
+    const unknown = Object.keys(locator).filter(field => !allowed.includes(field));
+    if (unknown.length > 0) {
+      errors.push(`${label}: Unknown locator field(s): ${unknown.join(', ')}`);
+    }
+    if (!locator.role && !locator.name && !locator.text) {
+      errors.push(`${label}: Locator needs role, name or text`);
+    }
+    if (locator.role !== undefined && (typeof locator.role !== 'string' || !/^[a-z]+$/.test(locator.role))) {
+      errors.push(`${label}: role must be a single ARIA role`);
+    }
+    for (const field of ['name', 'text']) {
+      const value = locator[field];
+      if (value === undefined) continue;
+      if (!SelectorSchema.isLocalizedText(value)) errors.push(`${label}: ${field} must be text, a list, or text grouped by language`);
+    }
+    if (locator.exact !== undefined && typeof locator.exact !== 'boolean') {
+      errors.push(`${label}: exact must be true or false`);
+    }
+    for (const field of ['selector', 'within', 'has']) {
+      const value = locator[field];
+      if (value === undefined) continue;
+      const error = typeof value === 'string' && value.trim() ? SelectorSchema.checkSyntax(value) : 'Expected a CSS selector';
+      if (error) errors.push(`${label}: ${field}: ${error}`);
+    }
+    return errors;
+  }
+
+  /**
+   * 把选择器包迁移到 CURRENT_VERSION
+   * @returns {object} 新对象，不修改传入的包
+   * @throws {Error} schema_version 无效、比扩展支持的更新，或缺少迁移步骤时
+   */
+  static migrate(bundle) {
+    let version = bundle?.schema_version;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Invalid schema_version: ${version}`);
+    }
+    if (version > SelectorSchema.CURRENT_VERSION) {
+      throw new Error(`schema_version ${version} is newer than supported (${SelectorSchema.CURRENT_VERSION})`);
+    }
+
+    let migrated = { ...bundle };
+    while (version < SelectorSchema.CURRENT_VERSION) {
+      const step = SelectorSchema.MIGRATIONS[version];
+      if (!step) throw new Error(`No migration from schema_version ${version}`);
+      migrated = { ...step(migrated), schema_version: version + 1 };
+      version++;
+    }
+    return migrated;
+  }
+
+  /**
+   * 严格校验整个选择器包（需先迁移到当前版本）
+   * 已知的键按类型校验；远程新增、schema 里还没有的键只允许字符串、定位器、二者的数组或数字
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  static validateBundle(bundle) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (bundle?.schema_version !== SelectorSchema.CURRENT_VERSION) {
+      errors.push(`Unexpected schema_version: ${bundle?.schema_version}`);
+    }
+    if (typeof bundle?.version !== 'string' || !bundle.version) {
+      errors.push('Missing version');
+    }
+
+    const selectors = bundle?.selectors;
+    if (!isObject(selectors)) {
+      errors.push('Missing selectors');
+      return { valid: false, errors };
+    }
+
+    for (const group of SelectorSchema.REQUIRED_GROUPS) {
+      if (!isObject(selectors[group])) errors.push(`Missing selector group: ${group}`);
+    }
+
+    for (const [group, entries] of Object.entries(selectors)) {
+      if (!isObject(entries)) {
+        errors.push(`Selector group ${group} must be an object`);
+        continue;
+      }
+      for (const [name, value] of Object.entries(entries)) {
+        const key = `${group}.${name}`;
+        if (SelectorSchema.typeOf(key)) {
+          errors.push(...SelectorSchema.validate(key, value).errors.map(error => `${key}: ${error}`));
+        } else if (!SelectorSchema.isPlainValue(value)) {
+          errors.push(`${key}: Unsupported value`);
+        } else {
+          const locators = (Array.isArray(value) ? value : [value]).filter(SelectorSchema.isLocator);
+          for (const locator of locators) {
+            errors.push(...SelectorSchema.validateLocator(locator).map(error => `${key}: ${error}`));
+          }
+        }
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  static isPlainValue(value) {
+    const isEntry = item => typeof item === 'string' || SelectorSchema.isLocator(item);
+    return isEntry(value)
+      || (typeof value === 'number' && Number.isFinite(value))
+      || (Array.isArray(value) && value.every(isEntry));
+  }
+}
+
+// 导出
+if (typeof window !== 'undefined') {
+  window.SelectorSchema = SelectorSchema;
+}
@@ -12,7 +12,8 @@
  * 数据流：
  * 1. 状态更新：Content Script → Background (UPDATE_STATE) → 广播到所有组件
  * 2. 状态读取：优先使用本地缓存，需要时从 Background 获取最新状态
- * 3. 状态同步：Background 通过 STATE_CHANGED 消息广播状态变化
+ * 3. 状态同步：Background 通过 STATE_CHANGED 广播 { epoch, revision, patch } 增量补丁，
+ *    按 revision 顺序合并；出现缺口或 epoch 变化（service worker 重启）时用 GET_STATE 重新同步
  */
 class StateStore {
   constructor() {
@@ -36,11 +37,21 @@ class StateStore {
         author: '',
         url: ''
       },
-      removedList: []
+      // 最近删除的一条；完整列表只保存在 background 的 IndexedDB 中
+      lastRemoved: null
     };
 
-    // 当前状态缓存
+    // 当前状态缓存及其版本
     this.state = { ...this.defaultState };
+    this.epoch = null;
+    this.revision = 0;
+    this.resyncPromise = null;
+    // 本页面发出、快照可能还没包含的更新：{updates, ack}，ack 为 background 确认的 {epoch, revision}
+    this.pendingWrites = [];
+    // 重新同步期间收到的补丁，快照到达后补上比快照新的部分
+    this.bufferedPatches = [];
+    // 本地缓存变化的订阅者（见 subscribe）
+    this.subscribers = new Set();
 
     // 设置监听器（同步）
     this.setupListeners();
@@ -55,19 +66,111 @@ class StateStore {
       if (sender.id !== chrome.runtime.id) return;
 
       if (message.type === 'STATE_CHANGED') {
-        this.state = message.payload || this.state;
-        console.log('[ClearTok StateStore] State updated from background');
+        this.applyPatch(message.payload || {});
       }
     });
   }
 
+  /**
+   * 应用 background 广播的增量补丁
+   */
+  applyPatch({ epoch, revision, patch }) {
+    if (typeof revision !== 'number' || !patch) return;
+
+    if (this.resyncPromise || epoch !== this.epoch || revision > this.revision + 1) {
+      // 漏掉了补丁或 background 已重启：重新获取完整状态；这条补丁先留着，快照比它旧时再补上
+      if (!this.resyncPromise) {
+        console.log(`[ClearTok StateStore] State gap (have ${this.revision}, got ${revision}), resyncing`);
+      }
+      this.bufferedPatches.push({ epoch, revision, patch });
+      this.resync();
+      return;
+    }
+    if (revision <= this.revision) return; // 过期或重复的补丁
+
+    this.state = this.deepMerge(this.state, patch);
+    this.revision = revision;
+    this.dropAcknowledgedWrites();
+    this.notify();
+  }
+
+  /**
+   * 用完整状态快照替换本地缓存
+   * 快照之后才到达的补丁按顺序补上；本页面还没被快照包含的更新重新合并，避免被快照覆盖
+   */
+  replaceState(snapshot) {
+    const { epoch, revision, ...state } = snapshot;
+    this.state = state;
+    this.epoch = epoch ?? null;
+    this.revision = revision || 0;
+
+    const buffered = this.bufferedPatches
+      .filter(entry => entry.epoch === this.epoch && entry.revision > this.revision)
+      .sort((a, b) => a.revision - b.revision);
+    this.bufferedPatches = [];
+    for (const entry of buffered) {
+      if (entry.revision !== this.revision + 1) break; // 仍有缺口，等下一次补丁触发重新同步
+      this.state = this.deepMerge(this.state, entry.patch);
+      this.revision = entry.revision;
+    }
+
+    this.dropAcknowledgedWrites();
+    for (const write of this.pendingWrites) {
+      this.state = this.deepMerge(this.state, write.updates);
+    }
+    this.notify();
+  }
+
+  /**
+   * 丢弃已被当前缓存包含的本地更新：background 确认的 revision 不晚于当前 revision，
+   * 或确认时的 epoch 已经过期（background 重启后以新快照为准）
+   */
+  dropAcknowledgedWrites() {
+    this.pendingWrites = this.pendingWrites.filter(({ ack }) =>
+      !ack || (ack.epoch === this.epoch && ack.revision > this.revision));
+  }
+
+  /**
+   * 订阅本地缓存的变化（包括 background 广播的补丁和本页面自己的更新）
+   * @param {function(object): void} callback - 参数为最新状态
+   * @returns {function(): void} 取消订阅
+   */
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notify() {
+    for (const callback of this.subscribers) {
+      try {
+        callback(this.state);
+      } catch (error) {
+        console.error('[ClearTok StateStore] Subscriber failed:', error);
+      }
+    }
+  }
+
+  async resync() {
+    if (!this.resyncPromise) {
+      this.resyncPromise = this.sendToBackground('GET_STATE')
+        .then(response => {
+          if (response) this.replaceState(response);
+        })
+        .catch(error => console.warn('[ClearTok StateStore] State resync failed:', error))
+        .finally(() => {
+          this.resyncPromise = null;
+        });
+    }
+    return this.resyncPromise;
+  }
+
   async init() {
     // Content Script 启动时从 Background 获取初始状态
     // 不直接访问 storage，保证 Background 是唯一的数据源
     try {
       const response = await this.sendToBackground('GET_STATE');
       if (response) {
-        this.state = response;
+        this.replaceState(response);
         console.log('[ClearTok StateStore] Initialized with state from background');
       } else {
         console.log('[ClearTok StateStore] Initialized with default state');
@@ -87,7 +190,7 @@ class StateStore {
       try {
         const response = await this.sendToBackground('GET_STATE');
         if (response) {
-          this.state = response;
+          this.replaceState(response);
         }
       } catch (error) {
         console.log('[ClearTok StateStore] Failed to refresh state, using cache');
@@ -110,11 +213,21 @@ class StateStore {
    * 更新状态（发送到 background）
    */
   async update(updates) {
-    // 合并本地状态
+    // 合并本地状态；background 确认前记为待定，重新同步时重放
+    const write = { updates, ack: null };
+    this.pendingWrites.push(write);
     this.state = this.deepMerge(this.state, updates);
+    this.notify();
 
     // 通知 background 更新状态
-    await this.sendToBackground('UPDATE_STATE', updates);
+    const ack = await this.sendToBackground('UPDATE_STATE', updates);
+    if (ack) {
+      write.ack = ack;
+      this.dropAcknowledgedWrites();
+    } else {
+      // 发送失败：background 没有应用这次更新，不再重放
+      this.pendingWrites = this.pendingWrites.filter(entry => entry !== write);
+    }
   }
 
   /**
@@ -147,7 +260,7 @@ class StateStore {
         removedVideos: 0,
         skippedVideos: 0
       },
-      removedList: []
+      lastRemoved: null
     };
 
     // 只有在明确提供 tabId 时才更新它
@@ -191,13 +304,10 @@ class StateStore {
     };
 
     if (videoInfo) {
-      updates.removedList = [
-        ...state.removedList,
-        {
-          ...videoInfo,
-          removedAt: Date.now()
-        }
-      ];
+      updates.lastRemoved = {
+        ...videoInfo,
+        removedAt: Date.now()
+      };
     }
 
     await this.update(updates);
@@ -232,11 +342,35 @@ class StateStore {
     });
   }
 
+  /**
+   * 保存/合并运行检查点（由 background 持久化，运行结束时由 background 清除）
+   */
+  async saveCheckpoint(checkpoint) {
+    await this.sendToBackground('SAVE_CHECKPOINT', checkpoint);
+  }
+
+  /**
+   * 本次运行删除的全部条目（运行结束后核对用）
+   */
+  async getRemovedItems() {
+    return (await this.sendToBackground('GET_REMOVED_ITEMS')) || [];
+  }
+
+  /**
+   * 已删除视频的 ID（续传时跳过，避免再次点击变成重新转发）
+   */
+  async getRemovedVideoIds() {
+    return (await this.sendToBackground('GET_REMOVED_IDS')) || [];
+  }
+
   /**
    * 重置状态
    */
   async reset() {
     this.state = { ...this.defaultState };
+    this.epoch = null;
+    this.revision = 0;
+    this.notify();
     await this.sendToBackground('RESET_STATE');
   }
 
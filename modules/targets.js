@@ -0,0 +1,230 @@
+// /modules/targets.js
+
+/**
+ * 清理目标
+ *
+ * WorkflowManager 负责通用部分（滚动加载、节奏控制、暂停、日志、配额），
+ * 目标只描述去哪里找、点哪个按钮，以及如何判断当前状态。
+ * 转发沿用原有的 navigation.repostTab / video.repostButton / repostStatus 选择器，
+ * 其它目标在 selectors-fallback.json 中各有自己的分组（likes / favorites / following）。
+ *
+ * kind:
+ *   'video' - 在个人主页切换到某个标签，打开第一个视频后用"下一条"逐个处理
+ *   'list'  - 打开用户列表弹窗，逐行点击按钮（关注列表）
+ */
+class CleanupTarget {
+  /**
+   * @param {UIManager} ui
+   * @param {ConfigManager} config
+   * @param {object} definition
+   */
+  constructor(ui, config, definition) {
+    this.ui = ui;
+    this.config = config;
+
+    this.id = definition.id;
+    this.kind = definition.kind || 'video';
+    this.label = definition.label;           // 状态文字中显示的名称（与 TikTok 页面上的标签名一致）
+    this.entryKey = definition.entryKey;     // 个人主页上的入口（标签或关注数）
+    this.entryText = definition.entryText || null; // 入口选择器失效时按文字查找
+    this.itemsKey = definition.itemsKey;     // 列表中的条目
+    this.actionButtonKey = definition.actionButtonKey; // 取消转发/取消点赞/取消收藏/取消关注按钮
+    this.scrollContainerKey = definition.scrollContainerKey || null; // 在弹窗内滚动时的容器
+  }
+
+  /**
+   * 条目当前是否处于需要清理的状态（已转发/已点赞/已收藏/已关注）
+   * @param {Element} button - actionButtonKey 找到的按钮
+   * @returns {boolean}
+   */
+  isActive(button) {
+    return false;
+  }
+
+  /**
+   * 带置信度的状态判断；ambiguous 时调用方应跳过而不是点击
+   * 默认直接使用 isActive，需要打分的目标（转发）覆盖此方法
+   * @param {Element} button
+   * @returns {{state: 'active'|'inactive'|'ambiguous', confidence: number}}
+   */
+  detectState(button) {
+    return { state: this.isActive(button) ? 'active' : 'inactive', confidence: 1 };
+  }
+
+  /**
+   * 列表中条目的唯一标识（用于滚动清单和运行后核对）：视频目标取视频 ID
+   * @param {Element} element - itemsKey 找到的条目
+   * @returns {string} 找不到时为空字符串
+   */
+  itemKey(element) {
+    const link = element.matches('a[href*="/video/"]') ? element : element.querySelector('a[href*="/video/"]');
+    return RemovalFilter.normalizeVideoId(link?.getAttribute('href'));
+  }
+
+  /**
+   * 条目的完整链接（直接导航模式按链接逐个打开）
+   * @returns {string}
+   */
+  itemUrl(element) {
+    const link = element.matches('a[href*="/video/"]') ? element : element.querySelector('a[href*="/video/"]');
+    return link ? link.href : '';
+  }
+
+  /**
+   * 通用检测：按下属性，或图标填充为分组中配置的激活颜色
+   */
+  isPressed(button, group) {
+    const attribute = this.config.get(`${group}.pressedAttribute`) || 'aria-pressed';
+    if (button.getAttribute(attribute) === 'true') return true;
+
+    const colors = (this.config.get(`${group}.activeFillColors`) || []).map(color => color.toLowerCase());
+    if (colors.length === 0) return false;
+    return Array.from(button.querySelectorAll('svg [fill], svg')).some(node => {
+      const fill = (node.getAttribute('fill') || '').toLowerCase();
+      const computed = window.getComputedStyle(node).color.toLowerCase();
+      return colors.includes(fill) || colors.includes(computed);
+    });
+  }
+}
+
+class RepostTarget extends CleanupTarget {
+  constructor(ui, config) {
+    super(ui, config, {
+      id: 'reposts',
+      label: 'Reposts',
+      entryKey: 'navigation.repostTab',
+      entryText: 'Reposts',
+      itemsKey: 'video.containers',
+      actionButtonKey: 'video.repostButton'
+    });
+    this.stateDetector = new RepostStateDetector(config);
+  }
+
+  isActive(button) {
+    return this.detectState(button).state === 'active';
+  }
+
+  detectState(button) {
+    return this.stateDetector.evaluate(button);
+  }
+}
+
+class LikeTarget extends CleanupTarget {
+  constructor(ui, config) {
+    super(ui, config, {
+      id: 'likes',
+      label: 'Liked',
+      entryKey: 'likes.tab',
+      entryText: 'Liked',
+      itemsKey: 'likes.containers',
+      actionButtonKey: 'likes.actionButton'
+    });
+  }
+
+  isActive(button) {
+    return this.isPressed(button, 'likes');
+  }
+}
+
+class FavoriteTarget extends CleanupTarget {
+  constructor(ui, config) {
+    super(ui, config, {
+      id: 'favorites',
+      label: 'Favorites',
+      entryKey: 'favorites.tab',
+      entryText: 'Favorites',
+      itemsKey: 'favorites.containers',
+      actionButtonKey: 'favorites.actionButton'
+    });
+  }
+
+  isActive(button) {
+    return this.isPressed(button, 'favorites');
+  }
+}
+
+class FollowingTarget extends CleanupTarget {
+  constructor(ui, config) {
+    super(ui, config, {
+      id: 'following',
+      kind: 'list',
+      label: 'Following',
+      entryKey: 'following.openList',
+      itemsKey: 'following.rows',
+      actionButtonKey: 'following.actionButton',
+      scrollContainerKey: 'following.listContainer'
+    });
+  }
+
+  /**
+   * 已关注的按钮显示 "Following"/"Friends"（按语言配置），取消后变回 "Follow"
+   * 必须完整匹配："Follow" 是 "Following" 的一部分
+   */
+  isActive(button) {
+    const text = SemanticLocator.normalize(button.textContent);
+    const activeTexts = SemanticLocator.variants(this.config.get('following.activeTexts'));
+    return SemanticLocator.matches(text, activeTexts, true);
+  }
+
+  /**
+   * 列表目标以用户主页链接作为标识
+   */
+  itemKey(row) {
+    return this.getRowInfo(row).url;
+  }
+
+  /**
+   * 从列表行中读取用户信息，作为日志/历史中的条目
+   */
+  getRowInfo(row) {
+    const link = this.ui.findElement('following.userLink', row);
+    const href = link?.getAttribute('href') || '';
+    const handle = href.split('/@')[1]?.split(/[/?]/)[0] || '';
+    const nickname = this.ui.findElement('following.nickname', row)?.textContent.trim() || '';
+    return {
+      title: nickname || (handle ? `@${handle}` : 'Unknown user'),
+      description: nickname,
+      url: handle ? `https://www.tiktok.com/@${handle}` : '',
+      videoId: '',
+      author: handle ? `@${handle}` : '@unknown',
+      postedAt: null
+    };
+  }
+}
+
+/**
+ * 目标注册表
+ */
+class CleanupTargets {
+  static get DEFAULT() {
+    return 'reposts';
+  }
+
+  static get registry() {
+    return {
+      reposts: RepostTarget,
+      likes: LikeTarget,
+      favorites: FavoriteTarget,
+      following: FollowingTarget
+    };
+  }
+
+  static ids() {
+    return Object.keys(CleanupTargets.registry);
+  }
+
+  /**
+   * @param {string} id - 未知 ID 时回退到转发
+   * @returns {CleanupTarget}
+   */
+  static create(id, ui, config) {
+    const TargetClass = CleanupTargets.registry[id] || CleanupTargets.registry[CleanupTargets.DEFAULT];
+    return new TargetClass(ui, config);
+  }
+}
+
+// 导出
+if (typeof window !== 'undefined') {
+  window.CleanupTarget = CleanupTarget;
+  window.CleanupTargets = CleanupTargets;
+}
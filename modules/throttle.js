@@ -0,0 +1,173 @@
+// /modules/throttle.js
+
+/**
+ * 自适应节奏控制
+ *
+ * 取代固定的 300–900ms 随机延迟：根据 TikTok 的响应信号动态调整每条之间的等待。
+ * - 信号：waitForElement 超时、ChallengeDetector 发现的验证码/频率限制提示、播放器加载过慢
+ * - 出现信号时延迟倍数翻倍（指数退避，有上限）
+ * - 连续 rampUpAfter 条没有信号后倍数减半，逐步恢复到所选档位的基础速度
+ *
+ * 档位保存在 chrome.storage.local 的 speedProfile 中，由侧边栏选择。
+ */
+class AdaptiveThrottler {
+  /**
+   * @param {string} profileId - safe / normal / fast
+   */
+  constructor(profileId = AdaptiveThrottler.DEFAULT_PROFILE) {
+    this.profileId = AdaptiveThrottler.PROFILES[profileId] ? profileId : AdaptiveThrottler.DEFAULT_PROFILE;
+    this.profile = AdaptiveThrottler.PROFILES[this.profileId];
+
+    // 当前延迟倍数（1 = 档位基础速度）
+    this.multiplier = 1;
+    // 上次调速后连续没有信号的条数
+    this.stableCount = 0;
+    // 自上次 pace 以来是否收到过信号
+    this.signalSinceLastPace = false;
+  }
+
+  static get STORAGE_KEY() {
+    return 'speedProfile';
+  }
+
+  static get DEFAULT_PROFILE() {
+    return 'normal';
+  }
+
+  /**
+   * 速度档位：delay 为每条之间的基础延迟，microRest/longRest 为每 N 条的额外休息
+   * normal 与原来的固定节奏一致
+   */
+  static get PROFILES() {
+    return {
+      safe: {
+        delay: [800, 1800],
+        microRest: { every: 8, range: [1500, 3000] },
+        longRest: { every: 25, range: [4000, 9000] }
+      },
+      normal: {
+        delay: [300, 900],
+        microRest: { every: 10, range: [700, 1500] },
+        longRest: { every: 35, range: [1500, 4000] }
+      },
+      fast: {
+        delay: [150, 450],
+        microRest: { every: 20, range: [400, 900] },
+        longRest: { every: 60, range: [1000, 2500] }
+      }
+    };
+  }
+
+  // 倍数上限：normal 档最慢约 7s/条
+  static get MAX_MULTIPLIER() {
+    return 8;
+  }
+
+  // 连续多少条稳定后倍数减半
+  static get RAMP_UP_AFTER() {
+    return 5;
+  }
+
+  // 播放器加载超过这个时间视为"慢"
+  static get SLOW_LOAD_MS() {
+    return 3000;
+  }
+
+  /**
+   * 从 storage 读取侧边栏选择的档位
+   * @param {string} [override] - 本次运行指定的档位
+   * @returns {Promise<AdaptiveThrottler>}
+   */
+  static async load(override) {
+    if (override) return new AdaptiveThrottler(override);
+    try {
+      const result = await chrome.storage.local.get([AdaptiveThrottler.STORAGE_KEY]);
+      return new AdaptiveThrottler(result[AdaptiveThrottler.STORAGE_KEY]);
+    } catch (error) {
+      console.warn('[ClearTok] Failed to load speed profile, using default:', error);
+      return new AdaptiveThrottler();
+    }
+  }
+
+  // --- 信号 ---
+
+  /**
+   * 等待元素超时
+   * @returns {boolean} 是否因此降速
+   */
+  reportTimeout(selectorKey) {
+    return this.backOff(`wait timeout (${selectorKey})`);
+  }
+
+  /**
+   * 记录一次播放器加载耗时，超过阈值才视为信号
+   * @returns {boolean} 是否因此降速
+   */
+  reportLoadTime(ms) {
+    if (ms < AdaptiveThrottler.SLOW_LOAD_MS) return false;
+    return this.backOff(`slow load (${Math.round(ms)}ms)`);
+  }
+
+  /**
+   * ChallengeDetector 发现验证码或频率限制提示：直接降到最慢
+   * @param {string} kind - 'captcha' / 'rate_limit'
+   */
+  reportChallenge(kind) {
+    this.backOff(kind, AdaptiveThrottler.MAX_MULTIPLIER);
+  }
+
+  /**
+   * 指数退避
+   * @param {string} reason - 仅用于日志
+   * @param {number} [target] - 直接设置的倍数（默认翻倍）
+   * @returns {boolean} 倍数是否变化
+   */
+  backOff(reason, target) {
+    this.signalSinceLastPace = true;
+    this.stableCount = 0;
+    const previous = this.multiplier;
+    this.multiplier = Math.min(AdaptiveThrottler.MAX_MULTIPLIER, target ?? this.multiplier * 2);
+    if (this.multiplier !== previous) {
+      console.warn(`[ClearTok] Slowing down after ${reason}: x${previous} -> x${this.multiplier}`);
+    }
+    return this.multiplier !== previous;
+  }
+
+  // --- 节奏 ---
+
+  /**
+   * 计算处理完第 index 条后应等待的时间，并根据本条是否稳定调整倍数
+   * @param {number} index - 从 1 开始的条目序号
+   * @returns {number} 毫秒
+   */
+  nextDelay(index) {
+    if (!this.signalSinceLastPace && this.multiplier > 1) {
+      this.stableCount++;
+      if (this.stableCount >= AdaptiveThrottler.RAMP_UP_AFTER) {
+        const previous = this.multiplier;
+        this.multiplier = Math.max(1, this.multiplier / 2);
+        this.stableCount = 0;
+        console.log(`[ClearTok] Responses stable, speeding up: x${previous} -> x${this.multiplier}`);
+      }
+    }
+    this.signalSinceLastPace = false;
+
+    const { delay, microRest, longRest } = this.profile;
+    let ms = this.random(delay);
+    if (index % longRest.every === 0) {
+      ms += this.random(longRest.range);
+    } else if (index % microRest.every === 0) {
+      ms += this.random(microRest.range);
+    }
+    return Math.round(ms * this.multiplier);
+  }
+
+  random([min, max]) {
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+  }
+}
+
+// 导出
+if (typeof window !== 'undefined') {
+  window.AdaptiveThrottler = AdaptiveThrottler;
+}
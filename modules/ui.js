@@ -6,20 +6,37 @@ class UIManager {
    */
   constructor(config) {
     this.config = config;
+    // 所有 waitForElement 共用一个 MutationObserver；没有等待者时断开
+    this.waiters = new Set();
+    this.observer = null;
+    this.checkTimer = null;
+  }
+
+  // DOM 变化后合并检查等待者的间隔（TikTok 页面几乎一直在变化）
+  static get WAIT_CHECK_INTERVAL_MS() {
+    return 100;
+  }
+
+  // 等待者的 CSS 选择器持续未命中这么久之后才尝试语义定位器（定位器要扫描整页文字，开销大）
+  static get LOCATOR_DELAY_MS() {
+    return 1000;
   }
 
   /**
    * 查找单个元素，支持多个选择器
+   * 先按顺序尝试 CSS 选择器，都没有匹配时再尝试语义定位器（见 modules/locators.js）
    * @param {string} selectorKey - 在config中定义的键
    * @param {Element} parent - 父元素，默认为 document
+   * @param {{locators?: boolean}} options - locators 为 false 时只尝试 CSS 选择器
    * @returns {Element|null}
    */
-  findElement(selectorKey, parent = document) {
+  findElement(selectorKey, parent = document, { locators = true } = {}) {
     const selectors = this.config.get(selectorKey);
     if (!selectors) return null;
 
     const selectorList = Array.isArray(selectors) ? selectors : [selectors];
     for (const selector of selectorList) {
+      if (typeof selector !== 'string') continue;
       try {
         const element = parent.querySelector(selector);
         if (element) return element;
@@ -27,20 +44,35 @@ class UIManager {
         console.error(`[ClearTok] Invalid selector: "${selector}" from key "${selectorKey}"`, error);
       }
     }
+    if (!locators) return null;
+
+    for (const locator of selectorList.filter(SemanticLocator.isLocator)) {
+      try {
+        const element = SemanticLocator.find(locator, parent);
+        if (element) return element;
+      } catch (error) {
+        console.error(`[ClearTok] Invalid locator: ${SemanticLocator.describe(locator)} from key "${selectorKey}"`, error);
+      }
+    }
     return null;
   }
 
   /**
-   * 查找所有匹配的元素
+   * 查找所有匹配的元素；CSS 没有匹配时使用语义定位器的结果
    * @param {string} selectorKey
    * @param {Element} parent
-   * @returns {NodeListOf<Element>}
+   * @returns {NodeListOf<Element>|Element[]}
    */
   findAllElements(selectorKey, parent = document) {
     const selectors = this.config.get(selectorKey);
     if (!selectors) return document.querySelectorAll(''); // 返回空的NodeList
-    const selectorString = Array.isArray(selectors) ? selectors.join(', ') : selectors;
-    return parent.querySelectorAll(selectorString);
+    const selectorList = Array.isArray(selectors) ? selectors : [selectors];
+    const cssSelectors = selectorList.filter(selector => typeof selector === 'string');
+    const elements = cssSelectors.length > 0 ? parent.querySelectorAll(cssSelectors.join(', ')) : [];
+
+    const locators = selectorList.filter(SemanticLocator.isLocator);
+    if (elements.length > 0 || locators.length === 0) return elements;
+    return [...new Set(locators.flatMap(locator => SemanticLocator.findAll(locator, parent)))];
   }
 
 
@@ -67,41 +99,99 @@ class UIManager {
 
   /**
    * 等待元素出现
+   * 不再轮询：DOM 变化时由共享的 MutationObserver 检查，元素一出现立即返回
    * @param {string} selectorKey
    * @param {number} timeout
-   * @returns {Promise<Element>}
+   * @param {{signal?: AbortSignal}} options - signal 中止时立即返回 null（暂停/停止时使用），不算超时
+   * @returns {Promise<Element|null>}
    */
   // 超时时原来是 reject(...) → 改成发送上报消息后 resolve(null)
-  async waitForElement(selectorKey, timeout = 10000) {
+  async waitForElement(selectorKey, timeout = 10000, { signal } = {}) {
+    const existing = this.findElement(selectorKey);
+    if (existing) return existing;
+    if (signal?.aborted) return null;
+
     return new Promise((resolve) => {
-      const interval = 200;
-      const endTime = Date.now() + timeout;
-
-      const check = () => {
-        const element = this.findElement(selectorKey);
-        if (element) {
-          resolve(element);
-        } else if (Date.now() > endTime) {
-          try {
-            // 使用 MessageBus 发送消息到 background
-            if (window.MessageBus) {
-              const messageBus = new window.MessageBus();
-              messageBus.send('background', 'UI_WAIT_TIMEOUT', {
-                selectorKey,
-                timeout,
-                url: window.location.href
-              }).catch(() => {});
-            }
-          } catch (_) { }
-          resolve(null);
-        } else {
-          setTimeout(check, interval);
-        }
+      const waiter = { selectorKey, resolve: null, startedAt: Date.now() };
+
+      const finish = (element) => {
+        clearTimeout(timer);
+        clearTimeout(locatorTimer);
+        signal?.removeEventListener('abort', onAbort);
+        this.waiters.delete(waiter);
+        if (this.waiters.size === 0) this.disconnectObserver();
+        resolve(element);
       };
-      check();
+      const onAbort = () => finish(null);
+      const timer = setTimeout(() => {
+        this.reportWaitTimeout(selectorKey, timeout);
+        finish(null);
+      }, timeout);
+      // DOM 没有再变化时也要在延迟到期后尝试一次定位器
+      const locatorTimer = setTimeout(() => this.scheduleCheck(), UIManager.LOCATOR_DELAY_MS);
+
+      waiter.resolve = finish;
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiters.add(waiter);
+      this.connectObserver();
     });
   }
 
+  connectObserver() {
+    if (this.observer) return;
+    this.observer = new MutationObserver(() => this.scheduleCheck());
+    // 选择器大多按 class / data-e2e 匹配，元素可能是改属性而不是新插入
+    this.observer.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'data-e2e', 'aria-label', 'aria-pressed', 'href']
+    });
+  }
+
+  disconnectObserver() {
+    this.observer?.disconnect();
+    this.observer = null;
+    clearTimeout(this.checkTimer);
+    this.checkTimer = null;
+  }
+
+  /**
+   * 合并短时间内的多批 DOM 变化，只检查一次
+   * 不用 requestAnimationFrame：处理中的标签页可能在后台，rAF 不会执行
+   */
+  scheduleCheck() {
+    if (this.checkTimer) return;
+    this.checkTimer = setTimeout(() => {
+      this.checkTimer = null;
+      this.checkWaiters();
+    }, UIManager.WAIT_CHECK_INTERVAL_MS);
+  }
+
+  checkWaiters() {
+    const now = Date.now();
+    // 复制一份：resolve 时会从集合中删除
+    for (const waiter of [...this.waiters]) {
+      const locators = now - waiter.startedAt >= UIManager.LOCATOR_DELAY_MS;
+      const element = this.findElement(waiter.selectorKey, document, { locators });
+      if (element) waiter.resolve(element);
+    }
+  }
+
+  reportWaitTimeout(selectorKey, timeout) {
+    try {
+      // 使用 MessageBus 发送消息到 background
+      if (window.MessageBus) {
+        const messageBus = new window.MessageBus();
+        messageBus.send('background', 'UI_WAIT_TIMEOUT', {
+          selectorKey,
+          timeout,
+          url: window.location.href
+        }).catch(() => {});
+      }
+    } catch (_) { }
+  }
+
   /**
    * 点击一个元素
    * @param {string} selectorKey
@@ -139,50 +229,84 @@ class UIManager {
   }
 
   /**
-   * 自动滚动页面到底部以加载所有内容
-   * 仅在两次时机触发回调：
-   * 1) 第一次检测到内容数量（首次滚动后）
-   * 2) 最终完成时
-   * @param {function(number)} onProgress - 回调函数（最多回调两次：首次与最终）
-   * @returns {Promise<number>} - 返回找到的元素总数
+   * 滚动加载列表，并记录每个经过 DOM 的条目
+   * TikTok 的网格是虚拟列表，滚出视口的节点会被回收，直接数 findAllElements 会停滞甚至变少。
+   * 这里在每次滚动和每次 DOM 变化时读取条目的标识（视频 ID / 链接）放入 Set，
+   * 直到连续几轮没有出现新标识为止，返回按出现顺序排列的清单。
+   * 回调时机：首次滚动后、每次发现新条目时、最终完成时
+   * @param {string} itemSelectorKey - 条目选择器
+   * @param {function(Element): string} keyOf - 读取条目标识，返回空值的条目不计入
+   * @param {{onProgress?: function(number, boolean), onItem?: function(string, Element), maxItems?: number, containerKey?: string|null, seed?: string[]}} options
+   *   onItem - 每个新标识第一次出现时回调（可以顺便读取链接等信息）；
+   *   maxItems - 收集到 maxItems + 10 条后提前结束；containerKey - 在弹窗等可滚动容器内加载时的容器选择器，为空时滚动整个页面；
+   *   seed - 之前已收集的清单，本次在其基础上继续（节点已被回收的条目仍然保留）
+   * @returns {Promise<string[]>} 条目标识清单
    */
-  async autoScrollToBottom(itemSelectorKey, onProgress, maxItems = Infinity) {
-    return new Promise(async (resolve) => {
+  async scanList(itemSelectorKey, keyOf, { onProgress = null, onItem = null, maxItems = Infinity, containerKey = null, seed = [] } = {}) {
+    return new Promise((resolve) => {
       // 取消 1000 条硬性上限，尊重传入的 maxItems（可能为 Number.MAX_SAFE_INTEGER）
       const cappedMax = maxItems ?? Infinity;
+      const manifest = new Set(seed);
 
-      let lastItemsCount = 0;
-      let lastHeight = 0;
+      let lastCount = manifest.size;
       let noChangeCount = 0;
       // 对大配额/长列表容忍更多空转周期，避免过早结束
-      let maxNoChangeCount = (isFinite(cappedMax) && cappedMax > 200) ? 6 : 3;
+      const maxNoChangeCount = (isFinite(cappedMax) && cappedMax > 200) ? 6 : 3;
       let finished = false;
       let firstProgressReported = false;
 
+      // 把当前 DOM 中的条目记入清单
+      const collect = () => {
+        this.findAllElements(itemSelectorKey).forEach((element) => {
+          const key = keyOf(element);
+          if (!key || manifest.has(key)) return;
+          manifest.add(key);
+          if (onItem) onItem(key, element);
+        });
+      };
+
+      // 两次滚动之间被挂载又回收的节点也要记下来；
+      // 与 scheduleCheck 一样把同一时间窗内的变动合并成一次 collect，避免每批变动都全量查询
+      let collectTimer = null;
+      const observer = new MutationObserver(() => {
+        if (collectTimer) return;
+        collectTimer = setTimeout(() => {
+          collectTimer = null;
+          collect();
+        }, UIManager.WAIT_CHECK_INTERVAL_MS);
+      });
+      const container = containerKey ? this.findElement(containerKey) : null;
+      observer.observe(container || document.body, { childList: true, subtree: true });
+
       const finalize = () => {
         if (finished) return;
         finished = true;
         clearInterval(scrollInterval);
         clearTimeout(timeoutId);
-        const finalItems = this.findAllElements(itemSelectorKey);
-        if (onProgress) onProgress(finalItems.length, true);
-        resolve(finalItems.length);
+        observer.disconnect();
+        clearTimeout(collectTimer);
+        collect();
+        const result = Array.from(manifest);
+        if (onProgress) onProgress(result.length, true);
+        resolve(result);
       };
 
       // 更短的轮询以加快加载（风险：更频繁触发懒加载/防护）
       const POLL_INTERVAL = 800; // ms
       const scrollInterval = setInterval(() => {
         // 触发小幅向上抖动再触底，帮助虚拟列表加载
+        const scrollContainer = containerKey ? this.findElement(containerKey) : null;
+        const scroller = scrollContainer || window;
         try {
           const jitter = Math.floor(Math.random() * 101); // 0~100
-          if (jitter > 0) window.scrollBy(0, -jitter);
+          if (jitter > 0) scroller.scrollBy(0, -jitter);
         } catch (_) {}
         setTimeout(() => {
-          try { window.scrollTo(0, document.body.scrollHeight); } catch (_) {}
+          try { scroller.scrollTo(0, (scrollContainer || document.body).scrollHeight); } catch (_) {}
         }, 30);
 
-        const currentItems = this.findAllElements(itemSelectorKey);
-        const currentCount = currentItems.length;
+        collect();
+        const currentCount = manifest.size;
 
         // 首次滚动回调
         if (!firstProgressReported) {
@@ -190,9 +314,9 @@ class UIManager {
           if (onProgress) onProgress(currentCount, false);
         }
 
-        // 每次检测到数量增加都回调一次，提供更实时的进度反馈
-        if (currentCount > lastItemsCount) {
-          lastItemsCount = currentCount;
+        // 出现新标识才算有进展；高度变化但没有新条目（例如节点回收）不算
+        if (currentCount > lastCount) {
+          lastCount = currentCount;
           noChangeCount = 0;
           if (onProgress) onProgress(currentCount, false);
         } else {
@@ -205,14 +329,6 @@ class UIManager {
           return;
         }
 
-        const currentHeight = document.body.scrollHeight;
-        const heightChanged = currentHeight !== lastHeight;
-        if (heightChanged) {
-          lastHeight = currentHeight;
-          // 视为有变化，重置空转计数
-          noChangeCount = 0;
-        }
-
         if (noChangeCount >= maxNoChangeCount) {
           finalize();
         }
@@ -223,6 +339,8 @@ class UIManager {
         console.warn('[YumiRem] Auto-scroll timed out.');
         finalize();
       }, 300000); // 5 minutes
+
+      collect();
     });
   }
 }
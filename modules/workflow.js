@@ -14,6 +14,51 @@ class WorkflowManager {
         this.messageBus = messageBus || window.messageBus;
         // 每次滚动/扫描的批次大小（默认 100）
         this.batchSize = 100;
+        // 本次运行的选择性删除规则（start 时从 storage 加载）
+        this.filter = null;
+        // 本次运行的选项：mode 为 'remove'（默认）或 'scan'（仅扫描，不取消转发）；target 为清理目标
+        this.options = { mode: 'remove', target: CleanupTargets.DEFAULT };
+        // 当前清理目标（转发/点赞/收藏/关注），提供入口、按钮和状态检测
+        this.target = CleanupTargets.create(CleanupTargets.DEFAULT, ui, config);
+        // 扫描模式下收集到的转发清单
+        this.scannedItems = [];
+        // 滚动加载时记录的条目标识清单（按列表顺序），用于计算总数
+        this.manifest = [];
+        // 清单中每个条目的链接，以及直接导航模式要依次打开的链接
+        this.itemUrls = new Map();
+        this.directUrls = [];
+        // 本次运行是否因达到每日配额而提前结束
+        this.limitReached = false;
+        // 当前页面上的工作流是否正在执行（页面刷新后为 false，用于判断是否需要续传）
+        this.isActive = false;
+        // 断点续传：需要直接跳过的条数、中断前最后处理的视频，以及已删除的视频 ID
+        this.resumeSkip = 0;
+        this.resumeLastVideoId = null;
+        this.indexOffset = 0;
+        this.doneVideoIds = new Set();
+        // 点击后确认状态翻转的最大尝试次数
+        this.verifyAttempts = 3;
+        // 每次点击后轮询状态的次数和间隔：界面更新慢时不能过早判定失败，否则重点会把刚取消的转发恢复
+        this.verifyPolls = 10;
+        this.verifyPollMs = 400;
+        // 自适应节奏（start 时按侧边栏选择的速度档位加载）
+        this.throttle = new AdaptiveThrottler();
+        // 验证码/频率限制检测：自动暂停并在弹层消失后恢复
+        this.detector = new ChallengeDetector(ui, config, this.stateStore, this.messageBus, {
+            onDetected: (kind) => this.throttle.reportChallenge(kind)
+        });
+
+        // 暂停或停止时中止进行中的 waitForElement，不必等到超时
+        this.waitController = new AbortController();
+        this.lastProcessState = { isRunning: false, isPaused: false };
+        this.waitAttemptStartedAt = 0;
+        this.stateStore.subscribe((state) => {
+            const { isRunning, isPaused } = state.process || {};
+            const paused = !this.lastProcessState.isPaused && isPaused;
+            const stopped = this.lastProcessState.isRunning && !isRunning;
+            this.lastProcessState = { isRunning, isPaused };
+            if (paused || stopped) this.abortWaits();
+        });
     }
 
     /**
@@ -46,49 +91,139 @@ class WorkflowManager {
 
     /**
      * 主启动函数
+     * @param {{mode?: 'remove'|'scan', target?: string, olderThanDays?: number, speedProfile?: string, navigation?: 'arrow'|'direct'}} options - scan 模式只遍历并列出转发，从不点击取消转发；
+     *   target 为清理目标（reposts/likes/favorites/following）；olderThanDays 只删除发布早于 N 天前的转发（定时清理使用）；
+     *   speedProfile 覆盖侧边栏选择的速度档位（safe/normal/fast）；navigation 为 'direct' 时按链接逐个打开视频，不依赖"下一条"按钮
+     * @param {{index: number, removed: number, lastVideoId: string|null, urls?: string[]}|null} resume - 中断前保存的检查点；
+     *   提供时保留已有统计，跳过已处理的条目继续运行；直接导航模式的检查点带有完整链接清单，可以从任意位置继续
      */
-    async start() {
+    async start(options = {}, resume = null) {
         const state = await this.stateStore.getState();
 
-        if (state.process.isRunning) {
+        // 页面刷新后续传时 background 仍处于运行状态，只要本页面没有在执行就允许继续
+        if (this.isActive || (state.process.isRunning && !resume)) {
             return; // 进程已在运行，忽略重复请求
         }
+        this.isActive = true;
+
+        // 页面上登录的账号必须是侧边栏选中的账号，否则会清理错账号的数据
+        const accountError = await this.checkAccount(options.account);
+        if (accountError) {
+            this.isActive = false;
+            // 续传时 background 据此保留检查点，切回原账号后继续
+            await this.handleError(accountError, '', { reason: 'account_mismatch' });
+            return;
+        }
 
-        // 启动处理流程 - 不传递 tabId，使用 background 已设置的值
-        await this.stateStore.startProcess();
-        await this.messageBus.broadcast('STATUS_UPDATE', {
-            status: 'Starting removal process...',
-            statusKey: 'statusStarting'
-        });
+        this.options = { mode: 'remove', target: CleanupTargets.DEFAULT, ...options };
+        this.target = CleanupTargets.create(this.options.target, this.ui, this.config);
+        this.scannedItems = [];
+        this.manifest = [];
+        this.itemUrls = new Map();
+        this.directUrls = [];
+        this.stoppedIncomplete = false;
+        this.listReady = false;
+        this.limitReached = false;
+        // 导航方式：沿用检查点/调用方指定的，否则读侧边栏设置
+        if (!this.options.navigation) {
+            this.options.navigation = await this.loadNavigationMode();
+        }
+
+        // 中断前删除的条目已从转发列表中消失，只需跳过保留下来的那部分
+        this.indexOffset = resume ? (resume.removed ?? state.stats.removedVideos ?? 0) : 0;
+        this.resumeSkip = resume ? Math.max(0, (resume.index || 0) - this.indexOffset) : 0;
+        this.resumeLastVideoId = resume?.lastVideoId || null;
+        this.doneVideoIds = new Set(resume ? await this.stateStore.getRemovedVideoIds() : []);
+
+        if (resume) {
+            // 续传：保留统计数据和开始时间
+            await this.stateStore.update({
+                process: { isRunning: true, isPaused: false, startTime: state.process.startTime || Date.now() }
+            });
+            await this.messageBus.broadcast('STATUS_UPDATE', {
+                status: `Resuming interrupted run after item ${resume.index || 0}...`,
+                statusKey: 'statusResumingRun',
+                statusParams: { index: resume.index || 0 }
+            });
+        } else {
+            // 启动处理流程 - 不传递 tabId，使用 background 已设置的值
+            await this.stateStore.startProcess();
+            await this.messageBus.broadcast('STATUS_UPDATE', this.isScanMode() ? {
+                status: 'Starting scan (nothing will be removed)...',
+                statusKey: 'statusStartingScan'
+            } : {
+                status: 'Starting removal process...',
+                statusKey: 'statusStarting'
+            });
+        }
+
+        // 仅扫描不需要续传
+        if (!this.isScanMode() && !resume) {
+            await this.stateStore.saveCheckpoint({ kind: 'workflow', options: this.options, index: 0, removed: 0, lastVideoId: null });
+        }
 
         // 激活黑客边框
         if (window.clearTokBorder) {
             window.clearTokBorder.create();
         }
 
+        // 加载用户在侧边栏配置的删除规则；定时清理可以额外指定只删除 N 天前的视频
+        const overrides = this.options.olderThanDays ? { olderThanDays: this.options.olderThanDays } : {};
+        this.filter = await RemovalFilter.load(overrides, this.options.account);
+        if (this.filter.isActive()) {
+            console.log('[ClearTok] Selective removal filters active:', this.filter.rules);
+        }
+        this.throttle = await AdaptiveThrottler.load(this.options.speedProfile);
+        console.log(`[ClearTok] Speed profile: ${this.throttle.profileId}`);
+        this.detector.start();
+
         try {
-            // 流程编排
-            if (!await this.step_navigateToProfile()) return;
-            if (!await this.step_switchToRepostsTabAndScroll()) return;
-
-            const currentState = await this.stateStore.getState();
-            if (currentState.stats.totalReposts === 0) {
-                const duration = await this.stateStore.getDuration();
-                await this.messageBus.broadcast('NO_REPOSTS_FOUND', { duration });
-                await this.finishProcess('No reposts found to remove.');
-                return;
+            // 直接导航模式续传：检查点里已有链接清单，不必回到个人主页重新加载
+            const directResume = this.isDirectMode() && resume?.urls?.length > 0;
+            if (directResume) {
+                this.restoreDirectUrls(resume.urls);
+                await this.stateStore.setTotal(Math.max(this.directUrls.length, (await this.stateStore.getState()).stats.totalReposts || 0));
+            } else {
+                // 流程编排
+                if (!await this.step_navigateToProfile()) return;
+                if (!await this.step_switchToTargetTabAndScroll()) return;
+
+                const currentState = await this.stateStore.getState();
+                if (currentState.stats.totalReposts === 0) {
+                    const duration = await this.stateStore.getDuration();
+                    await this.messageBus.broadcast('NO_REPOSTS_FOUND', { duration });
+                    await this.finishProcess('No reposts found to remove.');
+                    return;
+                }
+            }
+            if (this.target.kind === 'list') {
+                await this.step_processListQueue();
+            } else if (this.isDirectMode()) {
+                await this.step_processDirectQueue(directResume ? resume.index || 0 : 0);
+                if (this.stoppedIncomplete) return; // 无法回到列表加载剩余条目，已报告错误
+            } else {
+                if (!await this.step_openFirstVideo()) return;
+                await this.step_processVideoQueue();
             }
-            if (!await this.step_openFirstVideo()) return;
 
-            await this.step_processVideoQueue();
+            if (this.isScanMode()) {
+                await this.finishScan('All reposts have been scanned.');
+                return;
+            }
 
-            await this.finishProcess('All reposts have been processed.');
+            const removedBefore = (await this.stateStore.getState()).stats.removedVideos || 0;
+            await this.finishProcess('All reposts have been processed.', { reconciling: removedBefore > 0 });
 
-            // 完成后自动导航到repost页面查看结果
-            await this.step_navigateToRepostsTab();
+            // 完成后自动导航到目标页面查看结果，并借此核对删除是否真正生效
+            if (await this.step_navigateToTargetTab() && removedBefore > 0) {
+                await this.step_reconcile();
+            }
 
         } catch (error) {
             await this.handleError('An unexpected error occurred in the main workflow.', error);
+        } finally {
+            this.detector.stop();
+            this.isActive = false;
         }
     }
 
@@ -98,22 +233,20 @@ class WorkflowManager {
     async runInitialChecks() {
         try {
             const profileLink = this.ui.findElement('loginStatus.profileLink');
-            if (!profileLink || !profileLink.getAttribute('href')?.includes('/@')) {
+            const username = this.detectUsername(profileLink);
+            if (!username) {
                 await this.messageBus.broadcast('LOGIN_STATUS_UPDATE', { isLoggedIn: false });
                 return;
             }
 
-            const href = profileLink.getAttribute('href');
-            const usernamePart = href.split('/@')[1];
-            const isLoggedIn = usernamePart && usernamePart.trim().length > 0;
             const hasAvatar = this.ui.findElement('loginStatus.avatarImage', profileLink) !== null;
 
             await this.messageBus.broadcast('LOGIN_STATUS_UPDATE', {
-                isLoggedIn: isLoggedIn,
-                username: isLoggedIn ? usernamePart.trim() : null,
+                isLoggedIn: true,
+                username: username,
                 hasUserAvatar: hasAvatar,
             });
-            console.log('[ClearTok] Login status checked:', { isLoggedIn });
+            console.log('[ClearTok] Login status checked:', { isLoggedIn: true, username });
 
         } catch (error) {
             console.error('[ClearTok] Error checking login status:', error);
@@ -121,6 +254,35 @@ class WorkflowManager {
         }
     }
 
+    /**
+     * 从导航栏的个人主页链接中读取当前登录的用户名（小写，不含 @）
+     * @returns {string|null}
+     */
+    detectUsername(profileLink = this.ui.findElement('loginStatus.profileLink')) {
+        const href = profileLink?.getAttribute('href') || '';
+        if (!href.includes('/@')) return null;
+        const username = href.split('/@')[1].split(/[/?#]/)[0].trim();
+        return username ? decodeURIComponent(username).toLowerCase() : null;
+    }
+
+    /**
+     * @param {string|null} account - 侧边栏选中的账号；为空时不检查
+     * @returns {Promise<string|null>} 账号不一致时的错误信息
+     */
+    async checkAccount(account) {
+        if (!account) return null;
+        // 续传时页面刚加载，导航栏可能还没渲染出来
+        const profileLink = await this.ui.waitForElement('loginStatus.profileLink', 5000);
+        const detected = this.detectUsername(profileLink);
+        if (!detected) {
+            return `Could not confirm which TikTok account is logged in. Expected @${account}.`;
+        }
+        if (detected !== account) {
+            return `Logged in as @${detected}, but @${account} is selected. Switch the TikTok account or select @${detected} in the side panel.`;
+        }
+        return null;
+    }
+
     // --- 工作流步骤 ---
 
     async step_navigateToProfile() {
@@ -129,14 +291,14 @@ class WorkflowManager {
             statusKey: 'statusNavigatingProfile'
         });
 
-        // 首先检查是否已经在个人主页
-        const repostTab = await this.ui.waitForElement('navigation.repostTab', 2000);
-        if (repostTab) {
+        // 首先检查是否已经在个人主页（能看到当前目标的入口）
+        const entry = await this.waitFor(this.target.entryKey, 2000);
+        if (entry) {
             return true; // 已在个人主页
         }
 
         // 尝试点击 profile 按钮
-        const profileButton = await this.ui.waitForElement('navigation.profileButton', 5000);
+        const profileButton = await this.waitFor('navigation.profileButton', 5000);
         if (!profileButton) {
             await this.handleError("Cannot find profile button. Please make sure you're on TikTok.com and logged in.");
             return false;
@@ -145,8 +307,8 @@ class WorkflowManager {
         profileButton.click();
 
         // 等待个人主页关键元素准备就绪（例如 Reposts 标签出现）
-        const repostTabAfterNav = await this.ui.waitForElement('navigation.repostTab', 7000);
-        if (!repostTabAfterNav) {
+        const entryAfterNav = await this.waitFor(this.target.entryKey, 7000);
+        if (!entryAfterNav) {
             await this.handleError("Failed to navigate to profile page. Please try again.");
             return false;
         }
@@ -154,39 +316,45 @@ class WorkflowManager {
         return true;
     }
 
-    async step_navigateToRepostsTab() {
+    async step_navigateToTargetTab() {
+        const label = this.target.label;
         await this.messageBus.broadcast('STATUS_UPDATE', {
-            status: 'Navigating to Reposts tab...',
-            statusKey: 'statusNavigateToRepostsTab'
+            status: `Navigating to ${label}...`,
+            statusKey: 'statusNavigateToTarget',
+            statusParams: { target: label }
         });
-        let repostTab = await this.ui.waitForElement('navigation.repostTab', 10000);
-        if (!repostTab) {
-            repostTab = this.ui.findByText('navigation.repostTabFallback', 'Reposts');
-        }
-        if (repostTab) {
-            repostTab.click();
-            // 等待 Reposts 列表元素出现（放宽等待时间以适配慢网速/慢渲染）
-            await this.ui.waitForElement('video.containers', 15000);
+        let entry = await this.waitFor(this.target.entryKey, 10000);
+        if (!entry && this.target.entryText) {
+            entry = this.ui.findByText('navigation.repostTabFallback', this.target.entryText);
+        }
+        if (entry) {
+            entry.click();
+            // 等待列表元素出现（放宽等待时间以适配慢网速/慢渲染）
+            await this.waitFor(this.target.itemsKey, 15000);
             await this.messageBus.broadcast('STATUS_UPDATE', {
-                status: 'On reposts tab, showing results.',
-                statusKey: 'statusOnRepostsTab'
+                status: `On ${label}, showing results.`,
+                statusKey: 'statusOnTarget',
+                statusParams: { target: label }
             });
             return true;
         }
         await this.messageBus.broadcast('STATUS_UPDATE', {
-            status: 'Could not find Reposts tab.',
-            statusKey: 'statusCouldNotFindRepostsTab'
+            status: `Could not find ${label}.`,
+            statusKey: 'statusCouldNotFindTarget',
+            statusParams: { target: label }
         });
         return false;
     }
 
-    async step_switchToRepostsTabAndScroll() {
+    async step_switchToTargetTabAndScroll() {
+        const label = this.target.label;
         await this.messageBus.broadcast('STATUS_UPDATE', {
-            status: 'Looking for Reposts tab...',
-            statusKey: 'statusLookingForRepostsTab'
+            status: `Looking for ${label}...`,
+            statusKey: 'statusLookingForTarget',
+            statusParams: { target: label }
         });
-        if (!await this.step_navigateToRepostsTab()) {
-            await this.handleError("Could not find or click the 'Reposts' tab.");
+        if (!await this.step_navigateToTargetTab()) {
+            await this.handleError(`Could not find or click the '${label}' tab.`);
             return false;
         }
 
@@ -207,18 +375,22 @@ class WorkflowManager {
             maxItems = 100;
         }
 
-        const totalFound = await this.ui.autoScrollToBottom('video.containers', async (progress, isFinal) => {
-            await this.messageBus.broadcast('UPDATE_PROGRESS', {
-                current: 0,
-                total: progress,
-                phase: isFinal ? 'final' : 'first',
-                status: `Loaded ${progress} reposts so far...`,
-                statusKey: 'statusLoadedSoFar',
-                statusParams: { count: progress }
-            });
-        }, maxItems);
+        this.manifest = await this.scanTargetList({
+            maxItems,
+            onProgress: async (progress, isFinal) => {
+                await this.messageBus.broadcast('UPDATE_PROGRESS', {
+                    current: 0,
+                    total: progress,
+                    phase: isFinal ? 'final' : 'first',
+                    status: `Loaded ${progress} reposts so far...`,
+                    statusKey: 'statusLoadedSoFar',
+                    statusParams: { count: progress }
+                });
+            }
+        });
+        this.listReady = true;
 
-        await this.stateStore.setTotal(totalFound);
+        await this.stateStore.setTotal(this.manifest.length);
         const state = await this.stateStore.getState();
         await this.messageBus.broadcast('STATUS_UPDATE', {
             status: `Found ${state.stats.totalReposts} reposts.`,
@@ -235,20 +407,20 @@ class WorkflowManager {
             statusKey: 'statusOpeningFirstRepost'
         });
         // 打开第一条视频时也放宽等待时间
-        const success = await this.ui.click('video.containers', 15000);
+        const success = await this.ui.click(this.target.itemsKey, 15000);
         if (!success) {
             await this.handleError("No reposted videos found on the page to click.");
             return false;
         }
         // 等待视频播放视图的关键按钮出现，替代固定等待
-        await this.ui.waitForElement('video.repostButton', 7000);
+        await this.waitFor(this.target.actionButtonKey, 7000);
         return true;
     }
 
     async step_processVideoQueue() {
         // 仅预加载少量（上一步滚动到的）数量用于展示；后续通过"下一条"推进，动态增长总数
         let currentIndex = 0;
-        let removedCount = 0;
+        let removedCount = this.indexOffset; // 续传时计入中断前已删除的数量
 
         // 获取配额信息
         const quotaInfo = await this.getQuotaInfo();
@@ -264,17 +436,22 @@ class WorkflowManager {
             if (currentIndex >= (state.stats.totalReposts || 0)) {
                 // 请求目标数：当前已知总数 + batchSize
                 const target = (state.stats.totalReposts || 0) + this.batchSize;
-                const newlyFound = await this.ui.autoScrollToBottom('video.containers', async (progress, isFinal) => {
-                    await this.messageBus.broadcast('UPDATE_PROGRESS', {
-                        current: currentIndex,
-                        total: progress,
-                        phase: isFinal ? 'final' : 'batch',
-                        status: `Loaded ${progress} reposts so far...`,
-                        statusKey: 'statusLoadedSoFar',
-                        statusParams: { count: progress }
-                    });
-                }, target);
-                if (newlyFound && newlyFound > (state.stats.totalReposts || 0)) {
+                this.manifest = await this.scanTargetList({
+                    maxItems: target,
+                    seed: this.manifest,
+                    onProgress: async (progress, isFinal) => {
+                        await this.messageBus.broadcast('UPDATE_PROGRESS', {
+                            current: currentIndex,
+                            total: progress,
+                            phase: isFinal ? 'final' : 'batch',
+                            status: `Loaded ${progress} reposts so far...`,
+                            statusKey: 'statusLoadedSoFar',
+                            statusParams: { count: progress }
+                        });
+                    }
+                });
+                const newlyFound = this.manifest.length;
+                if (newlyFound > (state.stats.totalReposts || 0)) {
                     await this.stateStore.setTotal(newlyFound);
                     console.log(`[ClearTok] Loaded additional reposts, new total: ${newlyFound}`);
                 } else {
@@ -283,13 +460,14 @@ class WorkflowManager {
                 }
             }
 
-            // 检查是否达到配额限制
-            if (removedCount >= maxRemoval) {
+            // 检查是否达到配额限制（扫描模式不消耗配额）
+            if (!this.isScanMode() && removedCount >= maxRemoval) {
                 await this.messageBus.broadcast('STATUS_UPDATE', {
                     status: `Daily limit reached`,
                     statusKey: 'statusDailyLimitReached'
                 });
                 console.log(`[ClearTok] Daily limit reached: ${removedCount}/${maxRemoval}`);
+                this.limitReached = true;
                 break;
             }
 
@@ -301,28 +479,324 @@ class WorkflowManager {
                 await this.stateStore.setTotal(displayTotal);
             }
 
-            await this.messageBus.broadcast('STATUS_UPDATE', {
-                status: `Processing repost ${currentIndex} of ${displayTotal}...`,
-                statusKey: 'statusProcessingRepostOf',
-                statusParams: { current: currentIndex, total: displayTotal }
-            });
-
-            // 提取视频信息
-            const videoInfo = this.getVideoInfo();
-            await this.stateStore.setCurrentVideo({ ...videoInfo, index: currentIndex });
-            await this.messageBus.broadcast('UPDATE_PROGRESS', {
-                current: currentIndex,
-                total: displayTotal,
-                ...videoInfo
-            });
+            if (currentIndex <= this.resumeSkip) {
+                // 断点续传：这一条在中断前已处理，不再判断，直接跳到下一条
+                const videoId = window.location.href.match(/\/video\/(\d+)/)?.[1];
+                if (videoId && videoId === this.resumeLastVideoId) {
+                    this.resumeSkip = currentIndex; // 已到达中断位置
+                }
+                if (await this.advanceToNext(currentIndex, true)) continue;
+                break;
+            }
 
-            // 查找并点击"取消转发"按钮
-            const repostButton = await this.ui.waitForElement('video.repostButton', 5000);
-            if (repostButton && this.isVideoReposted(repostButton)) {
-                // 点击取消转发（删除）并立即继续，不阻塞等待 UI/日志写入完成
-                repostButton.click();
+            const { removed, videoInfo } = await this.processOpenVideo(currentIndex, displayTotal);
+            if (removed) {
                 removedCount++;  // 增加已删除计数
+                console.log(`[ClearTok] Removed repost #${currentIndex} (${removedCount}/${maxRemoval})`);
+            }
+
+            // 保存检查点：页面刷新或浏览器重启后从这里继续
+            if (!this.isScanMode()) {
+                await this.stateStore.saveCheckpoint({
+                    index: currentIndex + this.indexOffset,
+                    removed: removedCount,
+                    lastVideoId: videoInfo.videoId || null
+                });
+            }
+
+            // 尝试进入下一条
+            if (await this.advanceToNext(currentIndex)) continue;
+            break;
+        }
+
+        await this.closePlayer();
+    }
+
+    /**
+     * 直接导航模式：按滚动时记录的链接逐个打开视频，不依赖 video.nextButton
+     * 检查点记录的是清单中的位置，因此可以从任意位置继续
+     * @param {number} startAt - 已处理的条数（续传时来自检查点）
+     */
+    async step_processDirectQueue(startAt = 0) {
+        let currentIndex = startAt;
+        let removedCount = this.indexOffset; // 续传时计入中断前已删除的数量
+
+        const quotaInfo = await this.getQuotaInfo();
+        const maxRemoval = quotaInfo.remaining || 100;
+
+        if (this.directUrls.length === 0) {
+            this.directUrls = this.getManifestUrls();
+        }
+        if (!this.isScanMode()) {
+            await this.stateStore.saveCheckpoint({ urls: this.directUrls });
+        }
+
+        while (true) {
+            await this.checkPauseState();
+
+            const state = await this.stateStore.getState();
+            if (!state.process.isRunning) break;
 
+            // 已加载的链接处理完后继续滚动网格加载下一批
+            if (currentIndex >= this.directUrls.length && !await this.loadMoreDirectUrls()) {
+                break;
+            }
+
+            if (!this.isScanMode() && removedCount >= maxRemoval) {
+                await this.messageBus.broadcast('STATUS_UPDATE', {
+                    status: `Daily limit reached`,
+                    statusKey: 'statusDailyLimitReached'
+                });
+                console.log(`[ClearTok] Daily limit reached: ${removedCount}/${maxRemoval}`);
+                this.limitReached = true;
+                break;
+            }
+
+            const url = this.directUrls[currentIndex];
+            currentIndex += 1;
+
+            const displayTotal = Math.max(currentIndex, this.directUrls.length, state.stats.totalReposts || 0);
+            if (displayTotal > state.stats.totalReposts) {
+                await this.stateStore.setTotal(displayTotal);
+            }
+
+            const opened = await this.openVideoDirect(url);
+            if (this.stoppedIncomplete) break; // 无法回到列表，已报告错误
+
+            let lastVideoId = RemovalFilter.normalizeVideoId(url) || null;
+            if (opened === 'opened') {
+                const { removed, videoInfo } = await this.processOpenVideo(currentIndex, displayTotal);
+                lastVideoId = videoInfo.videoId || lastVideoId;
+                if (removed) {
+                    removedCount++;
+                    console.log(`[ClearTok] Removed repost #${currentIndex} (${removedCount}/${maxRemoval})`);
+                }
+            } else {
+                await this.messageBus.broadcast('VIDEO_SKIPPED', {
+                    index: currentIndex,
+                    reason: 'Video could not be opened',
+                    url,
+                    videoId: lastVideoId || '',
+                    target: this.target.id
+                });
+            }
+
+            // 直接导航的清单不会因删除而变化，检查点直接记录清单中的位置
+            if (!this.isScanMode()) {
+                await this.stateStore.saveCheckpoint({ index: currentIndex, removed: removedCount, lastVideoId });
+            }
+
+            await this.pausableSleep(this.throttle.nextDelay(currentIndex));
+        }
+
+        await this.closePlayer();
+    }
+
+    /**
+     * 在播放器中打开指定视频：点击网格中的对应条目，始终在页面内的弹窗中切换，不整页跳转
+     * 条目已被虚拟列表回收时，先关闭播放器回到网格，再滚动网格直到条目重新挂载
+     * @param {string} url
+     * @returns {Promise<'opened'|'failed'>}
+     */
+    async openVideoDirect(url) {
+        const videoId = RemovalFilter.normalizeVideoId(url);
+        const isOpen = () => !!videoId && window.location.href.includes(`/video/${videoId}`);
+        if (isOpen()) return 'opened';
+
+        const link = this.findGridLink(videoId) || await this.scrollGridTo(videoId);
+        if (!link) return 'failed';
+
+        link.click();
+        for (let waited = 0; waited < 5000 && !isOpen(); waited += 100) {
+            await this.ui.sleep(100);
+        }
+        if (!isOpen()) return 'failed';
+        // 播放器切换视频时旧按钮会短暂保留，稍等再读取状态
+        await this.pausableSleep(this.getRandomDelay(300, 600));
+        return 'opened';
+    }
+
+    findGridLink(videoId) {
+        if (!videoId) return null;
+        const item = Array.from(this.ui.findAllElements(this.target.itemsKey))
+            .find(element => this.target.itemKey(element) === videoId);
+        return item && (item.matches('a[href*="/video/"]') ? item : item.querySelector('a[href*="/video/"]'));
+    }
+
+    /**
+     * 回到网格并从顶部逐屏滚动，直到指定条目重新挂载
+     * 页面不在目标列表上（例如续传后）时先回到个人主页的目标列表；回不去时标记为未完成（已报告错误）
+     * @param {string} videoId
+     * @returns {Promise<Element|null>} 条目中的视频链接
+     */
+    async scrollGridTo(videoId) {
+        if (!videoId) return null;
+        if (window.location.href.includes('/video/')) {
+            await this.closePlayer();
+            await this.ui.sleep(500);
+        }
+        if (!this.listReady || !this.ui.findElement(this.target.itemsKey)) {
+            if (!await this.returnToTargetList()) {
+                this.stoppedIncomplete = true;
+                return null;
+            }
+        }
+
+        console.log(`[ClearTok] ${videoId} is not mounted in the grid, scrolling to it`);
+        const container = this.target.scrollContainerKey ? this.ui.findElement(this.target.scrollContainerKey) : null;
+        const scroller = container || window;
+        const position = () => container ? container.scrollTop : window.scrollY;
+        scroller.scrollTo(0, 0);
+        await this.ui.sleep(300);
+
+        for (let step = 0; step < 200; step++) {
+            const link = this.findGridLink(videoId);
+            if (link) {
+                link.scrollIntoView({ block: 'center' });
+                await this.ui.sleep(200);
+                return link;
+            }
+            const before = position();
+            scroller.scrollBy(0, Math.floor((container ? container.clientHeight : window.innerHeight) * 0.8));
+            await this.ui.sleep(400);
+            // 已到底部且没有加载出新内容
+            if (position() === before) break;
+        }
+        return this.findGridLink(videoId);
+    }
+
+    /**
+     * 滚动网格加载更多链接
+     * 续传后页面不在目标列表上：先回到个人主页的目标列表再滚动；
+     * 回不去时标记为未完成（已报告错误），不能当作全部处理完
+     * @returns {Promise<boolean>} 是否加载到新的链接
+     */
+    async loadMoreDirectUrls() {
+        if (!this.listReady || !this.ui.findElement(this.target.itemsKey)) {
+            if (!await this.returnToTargetList()) {
+                this.stoppedIncomplete = true;
+                return false;
+            }
+        }
+
+        const before = this.directUrls.length;
+        this.manifest = await this.scanTargetList({ maxItems: this.manifest.length + this.batchSize, seed: this.manifest });
+        this.directUrls = this.getManifestUrls();
+        if (this.directUrls.length <= before) return false;
+
+        if (!this.isScanMode()) {
+            await this.stateStore.saveCheckpoint({ urls: this.directUrls });
+        }
+        console.log(`[ClearTok] Loaded additional reposts, new total: ${this.directUrls.length}`);
+        return true;
+    }
+
+    async returnToTargetList() {
+        console.log('[ClearTok] Not on the target list, returning to the profile to load more items');
+        if (window.location.href.includes('/video/')) {
+            await this.closePlayer();
+        }
+        if (!await this.step_navigateToProfile()) return false; // 已报告错误
+        if (!await this.step_navigateToTargetTab()) {
+            await this.handleError(`Could not return to '${this.target.label}' to load the remaining items. The run is incomplete.`);
+            return false;
+        }
+        this.listReady = true;
+        return true;
+    }
+
+    getManifestUrls() {
+        return this.manifest.map(key => this.itemUrls.get(key)).filter(Boolean);
+    }
+
+    restoreDirectUrls(urls) {
+        this.directUrls = [...urls];
+        this.manifest = urls.map(url => RemovalFilter.normalizeVideoId(url));
+        this.itemUrls = new Map(this.manifest.map((key, i) => [key, urls[i]]));
+    }
+
+    async closePlayer() {
+        // 关闭视频播放器
+        const closeButton = await this.waitFor('video.closeButton', 3000);
+        if (closeButton) {
+            closeButton.click();
+        } else {
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+        }
+    }
+
+    /**
+     * 处理播放器中当前打开的视频：读取信息、应用规则、点击并确认
+     * "下一条"串联和直接导航两种方式共用
+     * @returns {Promise<{removed: boolean, videoInfo: object}>}
+     */
+    async processOpenVideo(currentIndex, displayTotal) {
+        await this.messageBus.broadcast('STATUS_UPDATE', {
+            status: `Processing repost ${currentIndex} of ${displayTotal}...`,
+            statusKey: 'statusProcessingRepostOf',
+            statusParams: { current: currentIndex, total: displayTotal }
+        });
+
+        // 提取视频信息（完整描述只用于规则匹配，不随事件广播）
+        const { description, ...videoInfo } = this.getVideoInfo();
+        await this.stateStore.setCurrentVideo({ ...videoInfo, index: currentIndex });
+        await this.messageBus.broadcast('UPDATE_PROGRESS', {
+            current: currentIndex,
+            total: displayTotal,
+            ...videoInfo
+        });
+
+        // 查找并点击"取消转发"（或当前目标对应的）按钮；按钮出现的耗时即播放器加载耗时
+        const repostButton = await this.waitForElementTracked(this.target.actionButtonKey, 5000);
+        const buttonState = repostButton ? this.target.detectState(repostButton) : null;
+        const isReposted = buttonState?.state === 'active';
+        const isAmbiguous = buttonState?.state === 'ambiguous';
+        const filterResult = this.filter ? this.filter.evaluate({ ...videoInfo, description }) : { match: true };
+        if (this.isScanMode()) {
+            // 仅扫描：记录这条转发以及它在正式运行中会如何处理，绝不点击按钮
+            let reason = filterResult.reason;
+            if (isAmbiguous) {
+                reason = this.ambiguousReason(buttonState);
+            } else if (!isReposted) {
+                reason = 'Not a repost or button not found';
+            }
+            const scannedItem = {
+                index: currentIndex,
+                ...videoInfo,
+                isReposted,
+                confidence: buttonState?.confidence ?? 0,
+                wouldRemove: isReposted && filterResult.match,
+                reason
+            };
+            this.scannedItems.push(scannedItem);
+            await this.messageBus.broadcast('VIDEO_SCANNED', scannedItem);
+        } else if (videoInfo.videoId && this.doneVideoIds.has(videoInfo.videoId)) {
+            // 中断前已删除（列表还没刷新）：再次点击会重新转发，必须跳过
+            await this.messageBus.broadcast('VIDEO_SKIPPED', {
+                index: currentIndex,
+                reason: 'Already removed before the interruption',
+                ...videoInfo
+            });
+        } else if (isAmbiguous) {
+            // 无法确定是否已转发：点击可能反而转发出去，跳过
+            await this.messageBus.broadcast('VIDEO_SKIPPED', {
+                index: currentIndex,
+                reason: this.ambiguousReason(buttonState),
+                ...videoInfo
+            });
+            console.warn(`[ClearTok] Skipped video #${currentIndex}: repost state unclear`, buttonState);
+        } else if (isReposted && !filterResult.match) {
+            // 是转发但不符合用户规则：保留
+            await this.messageBus.broadcast('VIDEO_SKIPPED', {
+                index: currentIndex,
+                reason: filterResult.reason,
+                ...videoInfo
+            });
+            console.log(`[ClearTok] Kept video #${currentIndex} by filter: ${filterResult.reason}`);
+        } else if (isReposted) {
+            // 点击取消转发（删除），确认按钮状态确实翻转后才计为已删除
+            const { confirmed, attempts } = await this.clickAndVerify(repostButton);
+            if (confirmed) {
                 // Fire-and-forget：发送已删除事件，后台/弹窗会异步处理并写入日志/状态
                 try {
                     // 不要 await，这样可以与后续跳转并行
@@ -332,65 +806,440 @@ class WorkflowManager {
                     });
                 } catch (_) { /* ignore */ }
 
-                console.log(`[ClearTok] Removed repost #${currentIndex} (${removedCount}/${maxRemoval})`);
-                // 给 DOM/事件一点时间稳定（短于原始延迟），之后尽快切换到下一条
-                await this.pausableSleep(this.getRandomDelay(200, 400));
+                return { removed: true, videoInfo };
             } else {
-                await this.messageBus.broadcast('VIDEO_SKIPPED', {
-                    index: currentIndex,
-                    reason: 'Not a repost or button not found',
-                    ...videoInfo
+                await this.reportRemoveFailed(currentIndex, videoInfo, attempts);
+            }
+        } else {
+            await this.messageBus.broadcast('VIDEO_SKIPPED', {
+                index: currentIndex,
+                reason: 'Not a repost or button not found',
+                ...videoInfo
+            });
+            console.log(`[ClearTok] Skipped video #${currentIndex}`);
+        }
+        return { removed: false, videoInfo };
+    }
+
+    /**
+     * 列表型目标（关注列表）：在弹窗中逐行处理，不打开视频
+     * 节奏、暂停、配额、过滤和事件与视频队列一致
+     */
+    async step_processListQueue() {
+        let currentIndex = 0;
+        let removedCount = this.indexOffset;
+        const seen = new Set();
+
+        const quotaInfo = await this.getQuotaInfo();
+        const maxRemoval = quotaInfo.remaining || 100;
+
+        while (true) {
+            await this.checkPauseState();
+
+            const state = await this.stateStore.getState();
+            if (!state.process.isRunning) break;
+
+            if (!this.isScanMode() && removedCount >= maxRemoval) {
+                await this.messageBus.broadcast('STATUS_UPDATE', {
+                    status: `Daily limit reached`,
+                    statusKey: 'statusDailyLimitReached'
                 });
-                console.log(`[ClearTok] Skipped video #${currentIndex}`);
+                this.limitReached = true;
+                break;
             }
 
-            // 尝试进入下一条
-            const nextButton = await this.ui.waitForElement('video.nextButton', 5000);
-            if (nextButton && !nextButton.disabled) {
-                nextButton.click();
-                // 加快切换到下一条的短延迟（原 600–1600ms -> 300–900ms）
-                await this.pausableSleep(this.getRandomDelay(300, 900));
-
-                // 保留微休/长休逻辑，但缩短时长以提高速度
-                if (currentIndex % 35 === 0) {
-                    // 长休：1.5–4s（原 2–6s）
-                    await this.pausableSleep(this.getRandomDelay(1500, 4000));
-                } else if (currentIndex % 10 === 0) {
-                    // 微休：0.7–1.5s（原 1–3s）
-                    await this.pausableSleep(this.getRandomDelay(700, 1500));
+            // 取第一条还没处理过的行；处理完当前已加载的行后再滚动加载下一批
+            const findNextRow = () => Array.from(this.ui.findAllElements(this.target.itemsKey))
+                .map(row => ({ row, info: this.target.getRowInfo(row) }))
+                .find(({ info }) => !seen.has(info.url || info.title));
+            let next = findNextRow();
+            if (!next) {
+                const target = (state.stats.totalReposts || 0) + this.batchSize;
+                this.manifest = await this.scanTargetList({ maxItems: target, seed: this.manifest });
+                if (this.manifest.length > (state.stats.totalReposts || 0)) {
+                    await this.stateStore.setTotal(this.manifest.length);
                 }
+                next = findNextRow();
+                if (!next) break;
+            }
+
+            const { row } = next;
+            const { description, ...itemInfo } = { ...next.info, target: this.target.id };
+            seen.add(itemInfo.url || itemInfo.title);
+            currentIndex += 1;
 
-                continue;
+            const displayTotal = Math.max(currentIndex, state.stats.totalReposts || 0);
+            if (displayTotal > state.stats.totalReposts) {
+                await this.stateStore.setTotal(displayTotal);
+            }
+            await this.stateStore.setCurrentVideo({ ...itemInfo, index: currentIndex });
+            await this.messageBus.broadcast('UPDATE_PROGRESS', {
+                current: currentIndex,
+                total: displayTotal,
+                ...itemInfo
+            });
+
+            const button = this.ui.findElement(this.target.actionButtonKey, row);
+            const isActive = !!button && this.target.isActive(button);
+            const filterResult = this.filter ? this.filter.evaluate({ ...itemInfo, description }) : { match: true };
+            if (this.isScanMode()) {
+                const scannedItem = {
+                    index: currentIndex,
+                    ...itemInfo,
+                    isReposted: isActive,
+                    wouldRemove: isActive && filterResult.match,
+                    reason: !isActive ? 'Not followed or button not found' : filterResult.reason
+                };
+                this.scannedItems.push(scannedItem);
+                await this.messageBus.broadcast('VIDEO_SCANNED', scannedItem);
+            } else if (isActive && filterResult.match) {
+                const { confirmed, attempts } = await this.clickAndVerify(button, row);
+                if (confirmed) {
+                    removedCount++;
+                    // 删除记录依赖这条消息（删除列表、运行历史），发送失败要留下日志
+                    await this.messageBus.broadcast('VIDEO_REMOVED', { index: currentIndex, ...itemInfo })
+                        .catch(error => console.warn('[ClearTok] Failed to report removal:', error));
+                    console.log(`[ClearTok] Removed ${this.target.id} #${currentIndex} (${removedCount}/${maxRemoval})`);
+                } else {
+                    await this.reportRemoveFailed(currentIndex, itemInfo, attempts);
+                }
             } else {
-                console.warn('[ClearTok] Next button not found or disabled. Ending process.');
-                break;
+                await this.messageBus.broadcast('VIDEO_SKIPPED', {
+                    index: currentIndex,
+                    reason: !isActive ? 'Not followed or button not found' : filterResult.reason,
+                    ...itemInfo
+                });
             }
+
+            // 与视频队列相同的自适应节奏
+            await this.pausableSleep(this.throttle.nextDelay(currentIndex));
         }
 
-        // 关闭视频播放器
-        const closeButton = await this.ui.waitForElement('video.closeButton', 3000);
+        // 关闭列表弹窗
+        const closeButton = this.ui.findElement('following.closeButton');
         if (closeButton) {
             closeButton.click();
         } else {
             document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
         }
-        // await this.ui.sleep(1000);
+    }
+
+    /**
+     * 运行结束后重新加载目标列表，与本次删除的条目逐一比对
+     * 仍在列表中的条目说明 TikTok 没有真正删除，作为 RECONCILE_COMPLETE 上报，由侧边栏提供重试
+     */
+    async step_reconcile() {
+        try {
+            const removedItems = await this.stateStore.getRemovedItems();
+            if (removedItems.length === 0) return;
+
+            await this.messageBus.broadcast('STATUS_UPDATE', {
+                status: 'Verifying removals...',
+                statusKey: 'statusVerifyingRemovals'
+            });
+
+            // 剩余条目 = 保留的 + 没删掉的，最多加载到本次运行见过的总数
+            const state = await this.stateStore.getState();
+            const listed = new Set(await this.scanTargetList({ maxItems: state.stats.totalReposts || removedItems.length }));
+            const keyOf = (item) => this.target.kind === 'list'
+                ? item.url
+                : (item.videoId || RemovalFilter.normalizeVideoId(item.url));
+            const stillPresent = removedItems
+                .filter(item => listed.has(keyOf(item)))
+                .map(({ title, author, url, videoId, target }) => ({ title, author, url, videoId, target }));
+
+            await this.messageBus.broadcast('RECONCILE_COMPLETE', {
+                runId: this.options.runId || null,
+                checkedCount: removedItems.length,
+                verifiedCount: removedItems.length - stillPresent.length,
+                stillPresent
+            });
+            console.log(`[ClearTok] Reconciled: ${removedItems.length - stillPresent.length} verified, ${stillPresent.length} still present`);
+        } catch (error) {
+            // 核对失败不影响已完成的运行
+            console.warn('[ClearTok] Reconciliation failed:', error);
+        }
+    }
+
+    /**
+     * 滚动加载当前目标的列表，返回条目标识清单（视频 ID / 用户主页链接）
+     * 虚拟列表会回收节点，所以按标识累计而不是数当前 DOM 中的条目
+     * @param {{maxItems?: number, seed?: string[], onProgress?: function(number, boolean)}} options
+     * @returns {Promise<string[]>}
+     */
+    async scanTargetList({ maxItems = Infinity, seed = [], onProgress = null } = {}) {
+        return this.ui.scanList(this.target.itemsKey, (element) => this.target.itemKey(element), {
+            onProgress,
+            onItem: (key, element) => {
+                if (!this.itemUrls.has(key)) this.itemUrls.set(key, this.target.itemUrl(element));
+            },
+            maxItems,
+            seed,
+            containerKey: this.target.scrollContainerKey
+        });
+    }
+
+    /**
+     * 在已直接打开的视频页面上处理单条视频（由 background 的 URL 队列驱动）
+     * 条目已由用户确认（扫描清单勾选或从删除列表恢复），因此不再应用过滤规则
+     * 条目记录了来源目标（item.target），按该目标查找按钮和判断状态
+     * @param {{action: 'remove'|'restore', index: number, total: number, item: object}} payload
+     * @returns {Promise<{status: 'removed'|'restored'|'skipped'|'failed'}>}
+     */
+    async processVideoPage({ action, index, total, item = {} }) {
+        this.target = CleanupTargets.create(item.target, this.ui, this.config);
+        // 每个页面都重新注入脚本，检测器随页面一起结束，无需手动停止
+        this.detector.start();
+        await this.messageBus.broadcast('STATUS_UPDATE', {
+            status: `Processing repost ${index} of ${total}...`,
+            statusKey: 'statusProcessingRepostOf',
+            statusParams: { current: index, total }
+        });
+
+        const { description, ...pageInfo } = this.getVideoInfo();
+        // 优先沿用队列条目记录的链接和标题/作者（页面地址可能带有跳转参数），保证与列表中的条目一致
+        const videoInfo = {
+            ...pageInfo,
+            url: item.url || pageInfo.url,
+            title: item.title || pageInfo.title,
+            author: item.author || pageInfo.author
+        };
+        await this.stateStore.setCurrentVideo({ ...videoInfo, index });
+        await this.messageBus.broadcast('UPDATE_PROGRESS', {
+            current: index,
+            total,
+            ...videoInfo
+        });
+
+        const repostButton = await this.waitForElementTracked(this.target.actionButtonKey, 8000);
+        const buttonState = repostButton ? this.target.detectState(repostButton) : null;
+        const isReposted = buttonState?.state === 'active';
+        if (buttonState?.state === 'ambiguous') {
+            // 删除和撤销都会点击同一个按钮，状态不明时两种操作都可能做反
+            await this.messageBus.broadcast('VIDEO_SKIPPED', { index, reason: this.ambiguousReason(buttonState), ...videoInfo });
+            console.warn(`[ClearTok] Skipped selected video #${index}/${total}: repost state unclear`, buttonState);
+            return { status: 'skipped' };
+        }
+        if (action === 'remove' && isReposted) {
+            const { confirmed, attempts } = await this.clickAndVerify(repostButton);
+            if (!confirmed) {
+                await this.reportRemoveFailed(index, videoInfo, attempts);
+                return { status: 'failed' };
+            }
+            await this.messageBus.broadcast('VIDEO_REMOVED', { index, ...videoInfo });
+            console.log(`[ClearTok] Removed selected repost #${index}/${total}`);
+            return { status: 'removed' };
+        }
+        if (action === 'restore' && repostButton && !isReposted) {
+            // 撤销：重新点击转发按钮，与删除一样确认状态确实翻转为已转发
+            const { confirmed, attempts } = await this.clickAndVerify(repostButton, document, 'active');
+            if (!confirmed) {
+                await this.messageBus.broadcast('VIDEO_RESTORE_FAILED', {
+                    index,
+                    attempts,
+                    reason: `State did not change after ${attempts} attempts`,
+                    ...videoInfo
+                });
+                console.warn(`[ClearTok] Could not restore #${index} after ${attempts} attempts`);
+                return { status: 'failed' };
+            }
+            await this.messageBus.broadcast('VIDEO_RESTORED', { index, ...videoInfo });
+            console.log(`[ClearTok] Restored repost #${index}/${total}`);
+            return { status: 'restored' };
+        }
+
+        let reason = 'Not a repost or button not found';
+        if (!repostButton) {
+            reason = 'Repost button not found';
+        } else if (action === 'restore') {
+            reason = 'Already reposted';
+        }
+        await this.messageBus.broadcast('VIDEO_SKIPPED', { index, reason, ...videoInfo });
+        console.log(`[ClearTok] Skipped selected video #${index}/${total}`);
+        return { status: 'skipped' };
     }
 
     // --- 辅助函数 ---
 
+    /**
+     * 点击"下一条"进入下一个视频
+     * @param {number} currentIndex
+     * @param {boolean} fastForward - 续传跳过已处理条目时只做短暂停顿
+     * @returns {Promise<boolean>} 是否成功进入下一条
+     */
+    async advanceToNext(currentIndex, fastForward = false) {
+        const nextButton = await this.waitForElementTracked('video.nextButton', 5000);
+        if (!nextButton || nextButton.disabled) {
+            console.warn('[ClearTok] Next button not found or disabled. Ending process.');
+            return false;
+        }
+
+        nextButton.click();
+        if (fastForward) {
+            await this.pausableSleep(this.getRandomDelay(200, 400));
+            return true;
+        }
+
+        // 短延迟 + 微休/长休，时长由速度档位和最近的响应信号决定
+        await this.pausableSleep(this.throttle.nextDelay(currentIndex));
+        return true;
+    }
+
+    /**
+     * 中止所有进行中的 waitFor，并为之后的等待准备新的 signal
+     */
+    abortWaits() {
+        this.waitController.abort();
+        this.waitController = new AbortController();
+    }
+
+    /**
+     * 可被暂停/停止打断的 waitForElement
+     * 暂停打断时等恢复后重新计时等待；停止打断时返回 null
+     * @returns {Promise<Element|null>}
+     */
+    async waitFor(selectorKey, timeout) {
+        while (true) {
+            const { signal } = this.waitController;
+            this.waitAttemptStartedAt = Date.now();
+            const element = await this.ui.waitForElement(selectorKey, timeout, { signal });
+            if (element || !signal.aborted) return element;
+
+            await this.checkPauseState();
+            const state = await this.stateStore.getState();
+            if (!state.process.isRunning) return null;
+        }
+    }
+
+    /**
+     * waitForElement 的包装：把超时和加载耗时上报给节奏控制
+     * 节奏因此变慢时通知侧边栏
+     */
+    async waitForElementTracked(selectorKey, timeout) {
+        const element = await this.waitFor(selectorKey, timeout);
+        if (!element && !(await this.stateStore.getState()).process.isRunning) {
+            return null; // 被停止打断，不算超时
+        }
+        // 只计最后一次等待的耗时，暂停的时间不算加载慢
+        const slowedDown = element
+            ? this.throttle.reportLoadTime(Date.now() - this.waitAttemptStartedAt)
+            : this.throttle.reportTimeout(selectorKey);
+        if (slowedDown) {
+            await this.messageBus.broadcast('STATUS_UPDATE', {
+                status: `TikTok is responding slowly, slowing down (x${this.throttle.multiplier})...`,
+                statusKey: 'statusSlowingDown',
+                statusParams: { multiplier: this.throttle.multiplier }
+            });
+        }
+        return element;
+    }
+
+    /**
+     * 点击操作按钮后确认状态确实翻转；未翻转时重新点击，最多 verifyAttempts 次
+     * TikTok 偶尔会静默拒绝操作（按钮状态回弹），只凭点击不能计为已删除/已恢复。
+     * 每次点击后轮询几秒，只有整个窗口内状态一直停留在原状态才重新点击
+     * @param {Element} button - 已找到的操作按钮
+     * @param {Element|Document} parent - 列表型目标在所在行内重新查找按钮
+     * @param {'inactive'|'active'} expected - 点击后应达到的状态：删除为 inactive，撤销删除为 active
+     * @returns {Promise<{confirmed: boolean, attempts: number}>}
+     */
+    async clickAndVerify(button, parent = document, expected = 'inactive') {
+        const original = expected === 'inactive' ? 'active' : 'inactive';
+        let current = button;
+        for (let attempt = 1; attempt <= this.verifyAttempts; attempt++) {
+            current.click();
+
+            let stayedOriginal = true;
+            for (let poll = 0; poll < this.verifyPolls; poll++) {
+                await this.pausableSleep(this.verifyPollMs);
+                // 按钮可能已被重新渲染，重新查找
+                current = this.ui.findElement(this.target.actionButtonKey, parent) || current;
+                const { state } = this.target.detectState(current);
+                if (state === expected) {
+                    return { confirmed: true, attempts: attempt };
+                }
+                if (state !== original) stayedOriginal = false;
+            }
+
+            if (!stayedOriginal) {
+                // 状态曾经变化但无法确认：再点一次可能把操作撤回，不重试
+                console.warn('[ClearTok] Action could not be confirmed: state unclear after click');
+                return { confirmed: false, attempts: attempt };
+            }
+            console.warn(`[ClearTok] Action not confirmed, attempt ${attempt}/${this.verifyAttempts}`);
+        }
+        return { confirmed: false, attempts: this.verifyAttempts };
+    }
+
+    ambiguousReason(buttonState) {
+        return `Repost state unclear (confidence ${Math.round((buttonState?.confidence || 0) * 100)}%)`;
+    }
+
+    async reportRemoveFailed(index, videoInfo, attempts) {
+        await this.messageBus.broadcast('VIDEO_REMOVE_FAILED', {
+            index,
+            attempts,
+            reason: `State did not change after ${attempts} attempts`,
+            ...videoInfo
+        });
+        console.warn(`[ClearTok] Could not remove #${index} after ${attempts} attempts`);
+    }
+
+    isScanMode() {
+        return this.options?.mode === 'scan';
+    }
+
+    /**
+     * 直接导航只适用于视频型目标；列表型目标（关注列表）始终在弹窗内逐行处理
+     */
+    isDirectMode() {
+        return this.options?.navigation === 'direct' && this.target.kind === 'video';
+    }
+
+    /**
+     * 侧边栏选择的导航方式：'arrow'（点击"下一条"，默认）或 'direct'（按链接逐个打开）
+     */
+    async loadNavigationMode() {
+        try {
+            const result = await chrome.storage.local.get([WorkflowManager.NAVIGATION_STORAGE_KEY]);
+            return result[WorkflowManager.NAVIGATION_STORAGE_KEY] === 'direct' ? 'direct' : 'arrow';
+        } catch (error) {
+            console.warn('[ClearTok] Failed to load navigation mode, using the next arrow:', error);
+            return 'arrow';
+        }
+    }
+
+    static get NAVIGATION_STORAGE_KEY() {
+        return 'navigationMode';
+    }
+
     getVideoInfo() {
         try {
             const videoInfo = {
                 title: '',
+                description: '',
                 url: window.location.href,
-                author: ''
+                videoId: '',
+                author: '',
+                postedAt: null,
+                target: this.target.id
             };
 
+            const idMatch = videoInfo.url.match(/\/video\/(\d+)/);
+            if (idMatch) {
+                videoInfo.videoId = idMatch[1];
+            }
+
+            // 发布时间：优先从 snowflake 视频 ID 解码（精确），否则读页面上显示的日期
+            videoInfo.postedAt = RemovalFilter.postedAtFromVideoId(videoInfo.videoId)
+                || this.parsePostDate(this.ui.findElement('video.postDate')?.textContent);
+
             // 使用配置的选择器获取视频标题
             const titleElement = this.ui.findElement('video.title');
             if (titleElement && titleElement.textContent.trim()) {
                 videoInfo.title = titleElement.textContent.trim();
+                // 完整描述用于关键词过滤，标题会在下面被截断
+                videoInfo.description = videoInfo.title;
             }
 
             // 使用配置的选择器获取作者信息
@@ -447,12 +1296,27 @@ class WorkflowManager {
         }
     }
 
-    isVideoReposted(repostButton) {
-        // 这个逻辑比较复杂，保持原样
-        const isPressed = repostButton.getAttribute(this.config.get('repostStatus.pressedAttribute')) === 'true';
-        const hasActiveColor = window.getComputedStyle(repostButton).color !== 'rgb(255, 255, 255)';
-        const hasFilledIcon = this.ui.findElement('repostStatus.svgFillSelector', repostButton) !== null;
-        return isPressed || hasActiveColor || hasFilledIcon;
+    /**
+     * 解析 TikTok 显示的发布日期："2023-5-12"、"5-12"（今年）、"3d ago"、"2h ago"、"1w ago"
+     * @returns {number|null} 毫秒时间戳
+     */
+    parsePostDate(text) {
+        // 作者栏形如 "name · 5-12"，日期在最后一段
+        const value = String(text || '').split('·').pop().trim().toLowerCase();
+        if (!value) return null;
+
+        const relative = value.match(/^(\d+)\s*([smhdw])\S*\s+ago$/);
+        if (relative) {
+            const unitMs = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 }[relative[2]];
+            return Date.now() - Number(relative[1]) * unitMs;
+        }
+
+        const absolute = value.match(/^(?:(\d{4})-)?(\d{1,2})-(\d{1,2})$/);
+        if (absolute) {
+            const year = absolute[1] ? Number(absolute[1]) : new Date().getFullYear();
+            return new Date(year, Number(absolute[2]) - 1, Number(absolute[3])).getTime();
+        }
+        return null;
     }
 
     async checkPauseState() {
@@ -471,7 +1335,10 @@ class WorkflowManager {
         return Math.floor(Math.random() * (max - min + 1)) + min;
     }
 
-    async handleError(message, error = '') {
+    /**
+     * @param {object} extra - 附加到 ERROR 广播中的字段（例如 reason）
+     */
+    async handleError(message, error = '', extra = {}) {
         await this.stateStore.stopProcess();
 
         // 移除黑客边框
@@ -479,11 +1346,15 @@ class WorkflowManager {
             window.clearTokBorder.remove();
         }
 
-        await this.messageBus.broadcast('ERROR', { message, error: error.toString() });
+        await this.messageBus.broadcast('ERROR', { message, error: error.toString(), ...extra });
         console.error(`[ClearTok] SCRIPT STOPPED: ${message}`, error);
     }
 
-    async finishProcess(message) {
+    /**
+     * @param {string} message
+     * @param {{reconciling?: boolean}} extra - reconciling 表示随后会核对删除结果（RECONCILE_COMPLETE）
+     */
+    async finishProcess(message, { reconciling = false } = {}) {
         const state = await this.stateStore.getState();
         const duration = await this.stateStore.getDuration();
 
@@ -497,11 +1368,32 @@ class WorkflowManager {
         await this.messageBus.broadcast('COMPLETE', {
             removedCount: state.stats.removedVideos,
             totalCount: state.stats.totalReposts,
-            duration: duration
+            duration: duration,
+            limitReached: !!this.limitReached,
+            reconciling
         });
         console.log(`[ClearTok] SCRIPT FINISHED: ${message}`);
     }
 
+    async finishScan(message) {
+        const duration = await this.stateStore.getDuration();
+
+        await this.stateStore.stopProcess();
+
+        // 移除黑客边框
+        if (window.clearTokBorder) {
+            window.clearTokBorder.remove();
+        }
+
+        await this.messageBus.broadcast('SCAN_COMPLETE', {
+            items: this.scannedItems,
+            totalCount: this.scannedItems.length,
+            matchedCount: this.scannedItems.filter(item => item.wouldRemove).length,
+            duration: duration
+        });
+        console.log(`[ClearTok] SCAN FINISHED: ${message}`);
+    }
+
     /**
      * 获取配额信息
      */
@@ -19,6 +19,20 @@ class ClearTokExtension {
     this.sessionAuth = new SessionAuthManager();
     this.processLogger = new ProcessLoggerManager();
     this.modals = new ModalsManager();
+    this.filtersPanel = new FiltersPanelManager();
+    this.historyPanel = new HistoryPanelManager();
+    this.accountsPanel = new AccountsPanelManager({
+      onAccountChange: (account) => {
+        this.filtersPanel.setAccount(account);
+        this.historyPanel.setAccount(account);
+      }
+    });
+    this.schedulePanel = new SchedulePanelManager();
+    this.diagnosticsPanel = new DiagnosticsPanelManager({
+      onEditKey: (key) => this.overridesPanel.showOverrides(key)
+    });
+    this.overridesPanel = new SelectorOverridesManager(this.diagnosticsPanel);
+    this.selectorSourcePanel = new SelectorSourceManager();
 
     // 初始化
     this.init();
@@ -33,6 +47,15 @@ class ClearTokExtension {
     await this.sessionAuth.initializeSession();
     this.sessionAuth.initializeFooterAuth();
     this.modals.initializeModals();
+    // 先确定选中的账号，删除规则和历史按账号读取
+    await this.accountsPanel.initializeAccounts();
+    this.filtersPanel.initializeFilters();
+    this.historyPanel.initializeHistory();
+    this.schedulePanel.initializeSchedules();
+    this.diagnosticsPanel.initializeDiagnostics();
+    this.overridesPanel.initializeOverrides();
+    this.selectorSourcePanel.initializeSelectorSource();
+    this.initializeRunPreferences();
 
     // 检查TikTok登录状态
     this.sessionAuth.checkTikTokLogin();
@@ -63,6 +86,33 @@ class ClearTokExtension {
     });
   }
 
+  /**
+   * 速度档位和导航方式：保存在 storage 中，手动运行和定时清理都会在开始时读取
+   */
+  async initializeRunPreferences() {
+    const preferences = {
+      speedProfile: CONSTANTS.SPEED_PROFILE_STORAGE_KEY,
+      navigationMode: CONSTANTS.NAVIGATION_MODE_STORAGE_KEY
+    };
+    let stored = {};
+    try {
+      stored = await chrome.storage.local.get(Object.values(preferences));
+    } catch (error) {
+      console.warn('Failed to load run preferences:', error);
+    }
+
+    Object.entries(preferences).forEach(([elementId, storageKey]) => {
+      const select = document.getElementById(elementId);
+      if (!select) return;
+      if (stored[storageKey]) select.value = stored[storageKey];
+      select.addEventListener('change', () => {
+        chrome.storage.local.set({ [storageKey]: select.value }).catch((error) => {
+          console.warn(`Failed to save ${storageKey}:`, error);
+        });
+      });
+    });
+  }
+
   initializeEventListeners() {
     // TikTok 相关
     document.getElementById('openTikTokStep')?.addEventListener('click', () => this.sessionAuth.openTikTok());
@@ -73,6 +123,16 @@ class ClearTokExtension {
 
     // 处理流程控制
     document.getElementById('startButton')?.addEventListener('click', () => this.startRemoval());
+    document.getElementById('scanButton')?.addEventListener('click', () => this.startScan());
+    document.getElementById('scanDoneButton')?.addEventListener('click', () => this.restart());
+    document.getElementById('removeSelectedButton')?.addEventListener('click', () => this.startSelectedRemoval());
+    document.getElementById('scanSelectAllButton')?.addEventListener('click', () => this.processLogger.setAllScanSelection(true));
+    document.getElementById('scanSelectNoneButton')?.addEventListener('click', () => this.processLogger.setAllScanSelection(false));
+    document.getElementById('scannedVideosList')?.addEventListener('change', (e) => {
+      if (e.target.classList.contains('scan-select')) {
+        this.processLogger.toggleScanSelection(e.target.dataset.url, e.target.checked);
+      }
+    });
     document.getElementById('pauseButton')?.addEventListener('click', () => this.processLogger.togglePause());
     document.getElementById('viewLogButton')?.addEventListener('click', () => this.processLogger.showDetailedLog());
     document.getElementById('retryButton')?.addEventListener('click', () => this.restart());
@@ -146,9 +206,23 @@ class ClearTokExtension {
     document.getElementById('shareSaveBtn')?.addEventListener('click', () => this.modals.saveShareCard(this.sessionAuth.tikTokUsername));
     document.getElementById('shareCopyCaptionBtn')?.addEventListener('click', () => this.modals.copyShareCaption(this.sessionAuth.tikTokUsername));
 
+    // 撤销删除（重新转发）
+    document.getElementById('restoreAllButton')?.addEventListener('click', () => this.processLogger.startRestore(this.sessionAuth));
+    document.getElementById('retryStillPresentButton')?.addEventListener('click', () => this.retryStillPresent());
+    document.getElementById('restoreSelectedButton')?.addEventListener('click', () => {
+      this.processLogger.startRestore(this.sessionAuth, [...this.processLogger.selectedRestoreUrls]);
+    });
+    document.getElementById('loadMoreRemovedButton')?.addEventListener('click', () => this.processLogger.loadMoreRemoved());
+    document.getElementById('removedVideosListComplete')?.addEventListener('change', (e) => {
+      if (e.target.classList.contains('restore-select')) {
+        this.processLogger.toggleRestoreSelection(e.target.dataset.url, e.target.checked);
+      }
+    });
+
     // 导出按钮 (CSV)
     document.getElementById('exportRemovedButton')?.addEventListener('click', () => this.processLogger.exportRemovedCSV());
     document.getElementById('exportRemovedButtonComplete')?.addEventListener('click', () => this.processLogger.exportRemovedCSV());
+    document.getElementById('exportScanButton')?.addEventListener('click', () => this.processLogger.exportRemovedCSV(this.processLogger.scannedVideos, 'cleartok_scan'));
 
     // 设置shuffle按钮标签
     const shuffleBtn = document.getElementById('shareTaglineShuffleBtn');
@@ -164,6 +238,16 @@ class ClearTokExtension {
   // === 主要流程方法 ===
 
   async startRemoval() {
+    if (!this.accountsPanel.ensureActiveAccount()) return;
+    if (await this.ensureQuota() === 0) return;
+    await this.processLogger.startRemoval(this.sessionAuth);
+  }
+
+  /**
+   * 刷新配额；用完时跳转到订阅/登录页
+   * @returns {Promise<number>} 本次可删除的数量（Plus 为 Infinity）
+   */
+  async ensureQuota() {
     // 点击时先刷新一次配额，尽量避免陈旧数据
     try { await this.sessionAuth.fetchUserQuota(); } catch (_) {}
 
@@ -184,10 +268,47 @@ class ClearTokExtension {
         url = u.toString();
       } catch (_) { /* noop */ }
       chrome.tabs.create({ url });
-      return;
+      return 0;
     }
 
-    await this.processLogger.startRemoval(this.sessionAuth);
+    return isPlus ? Infinity : remaining;
+  }
+
+  /**
+   * 删除扫描清单中勾选的转发，超出剩余配额的部分不处理
+   */
+  async startSelectedRemoval() {
+    let items = this.processLogger.getSelectedScanItems();
+    if (items.length === 0) return;
+    if (!this.accountsPanel.ensureActiveAccount()) return;
+
+    const allowed = await this.ensureQuota();
+    if (allowed === 0) return;
+    if (items.length > allowed) {
+      items = items.slice(0, allowed);
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectionTrimmed', { count: String(allowed) }), 'info');
+    }
+
+    await this.processLogger.startSelectedRemoval(this.sessionAuth, items);
+  }
+
+  /**
+   * 重试运行后核对时仍在列表中的条目
+   */
+  async retryStillPresent() {
+    const items = this.processLogger.stillPresentItems;
+    if (items.length === 0) return;
+    if (!this.accountsPanel.ensureActiveAccount()) return;
+    if (await this.ensureQuota() === 0) return;
+    await this.processLogger.startSelectedRemoval(this.sessionAuth, items, { retry: true });
+  }
+
+  /**
+   * 仅扫描（预览）：不消耗配额，也不删除任何内容
+   */
+  async startScan() {
+    if (!this.accountsPanel.ensureActiveAccount()) return;
+    await this.processLogger.startRemoval(this.sessionAuth, 'scan');
   }
 
   restart() {
@@ -218,11 +339,50 @@ class ClearTokExtension {
       this.handleVideoRemoved(payload);
     });
 
+    // 点击后 TikTok 没有确认删除
+    window.messageService.on('VIDEO_REMOVE_FAILED', (payload) => {
+      this.handleVideoRemoveFailed(payload);
+    });
+
+    // 页面出现验证码/频率限制提示，运行已自动暂停
+    window.messageService.on('CHALLENGE_DETECTED', (payload) => {
+      this.handleChallengeDetected(payload);
+    });
+
+    window.messageService.on('CHALLENGE_CLEARED', (payload) => {
+      this.handleChallengeCleared(payload);
+    });
+
+    // 视频已重新转发（撤销删除）
+    window.messageService.on('VIDEO_RESTORED', (payload) => {
+      this.handleVideoRestored(payload);
+    });
+
+    // 点击后 TikTok 没有确认重新转发
+    window.messageService.on('VIDEO_RESTORE_FAILED', (payload) => {
+      this.handleVideoRestoreFailed(payload);
+    });
+
     // 视频跳过
     window.messageService.on('VIDEO_SKIPPED', (payload) => {
       this.handleVideoSkipped(payload);
     });
 
+    // 扫描模式：视频已记录
+    window.messageService.on('VIDEO_SCANNED', (payload) => {
+      this.handleVideoScanned(payload);
+    });
+
+    // 运行后核对结果
+    window.messageService.on('RECONCILE_COMPLETE', (payload) => {
+      this.processLogger.handleReconcileComplete(payload);
+    });
+
+    // 扫描完成
+    window.messageService.on('SCAN_COMPLETE', (payload) => {
+      this.handleScanComplete(payload);
+    });
+
     // 等待状态
     window.messageService.on('WAITING', (payload) => {
       this.handleWaiting(payload);
@@ -248,6 +408,11 @@ class ClearTokExtension {
       this.handleComplete(payload);
     });
 
+    // 撤销删除完成
+    window.messageService.on('RESTORE_COMPLETE', (payload) => {
+      this.processLogger.handleRestoreComplete(payload, this.sessionAuth);
+    });
+
     // 没有找到reposts
     window.messageService.on('NO_REPOSTS_FOUND', (payload) => {
       this.handleNoReposts(payload);
@@ -315,6 +480,43 @@ class ClearTokExtension {
         this.processLogger.addLogEntry(removeLogMessage, 'success', { title: message.title, author: message.author, url: message.url });
   }
 
+  handleVideoRemoveFailed(message) {
+        // 不计入已删除，也不进入删除列表/导出
+        this.processLogger.addLogEntry(ClearTokUtils.getText('logVideoRemoveFailed', {
+          title: message.title || ClearTokUtils.getText('videoUnknownTitle'),
+          author: message.author || ClearTokUtils.getText('videoUnknownAuthor'),
+          attempts: String(message.attempts || 0)
+        }), 'error', { title: message.title, author: message.author, url: message.url });
+  }
+
+  handleChallengeDetected(message) {
+        const key = message.kind === 'rate_limit' ? 'logChallengeRateLimit' : 'logChallengeCaptcha';
+        this.processLogger.addLogEntry(ClearTokUtils.getText(key), 'error');
+        if (message.paused) this.processLogger.setPausedUi(true);
+  }
+
+  handleChallengeCleared() {
+        this.processLogger.addLogEntry(ClearTokUtils.getText('logChallengeCleared'), 'info');
+        this.processLogger.setPausedUi(false);
+  }
+
+  handleVideoRestored(message) {
+        this.processLogger.markRestored(message);
+        this.processLogger.addLogEntry(ClearTokUtils.getText('logVideoRestored', {
+          title: message.title || ClearTokUtils.getText('videoUnknownTitle'),
+          author: message.author || ClearTokUtils.getText('videoUnknownAuthor')
+        }), 'success', { title: message.title, author: message.author, url: message.url });
+  }
+
+  handleVideoRestoreFailed(message) {
+        // 仍保留在删除列表中，可以再次恢复
+        this.processLogger.addLogEntry(ClearTokUtils.getText('logVideoRestoreFailed', {
+          title: message.title || ClearTokUtils.getText('videoUnknownTitle'),
+          author: message.author || ClearTokUtils.getText('videoUnknownAuthor'),
+          attempts: String(message.attempts || 0)
+        }), 'error', { title: message.title, author: message.author, url: message.url });
+  }
+
   handleVideoSkipped(message) {
         let skipLogMessage = ClearTokUtils.getText('logVideoSkipped', { number: message.index });
         if (message.title && message.author) skipLogMessage = ClearTokUtils.getText('logVideoSkippedWithTitle', { title: message.title, author: message.author });
@@ -324,6 +526,20 @@ class ClearTokExtension {
         this.processLogger.addLogEntry(skipLogMessage, 'info');
   }
 
+  handleVideoScanned(message) {
+        this.processLogger.addScannedVideo(message);
+        const key = message.wouldRemove ? 'logVideoScannedRemove' : 'logVideoScannedKeep';
+        this.processLogger.addLogEntry(ClearTokUtils.getText(key, {
+          title: message.title || ClearTokUtils.getText('videoUnknownTitle'),
+          author: message.author || ClearTokUtils.getText('videoUnknownAuthor'),
+          reason: message.reason || ''
+        }), 'info');
+  }
+
+  handleScanComplete(message) {
+        this.processLogger.handleScanComplete(message, this.sessionAuth);
+  }
+
   handleWaiting(message) {
         if (message.seconds === 'paused') {
           this.processLogger.addLogEntry('Process paused by user', 'waiting');
@@ -428,6 +644,10 @@ class ClearTokExtension {
     } else if (state.stats.removedVideos > 0 || this.processLogger.removedVideos > 0) {
       // 如果有已删除的视频（从 state 或本地记录），显示完成状态
       this.processLogger.setState('complete');
+      // 完整列表不随状态广播，首次显示时从 background 分页读取
+      if (this.processLogger.removedTotal === null && this.processLogger.removedUrls.length < state.stats.removedVideos) {
+        this.processLogger.loadMoreRemoved();
+      }
     } else if (!state.process.isRunning && state.stats.totalReposts === 0) {
       // 没有运行且没有数据，显示欢迎界面
       this.processLogger.setState('welcome');
@@ -0,0 +1,119 @@
+/**
+ * TikTok 账号选择
+ * 账号列表由 background 的 AccountManager 维护（页面上检测到的每个登录账号都会记录下来），这里负责显示和切换。
+ * 运行历史和删除规则跟随选中的账号；页面上登录的账号与选中的不一致时拒绝开始。
+ */
+
+class AccountsPanelManager {
+  /**
+   * @param {{onAccountChange?: function(string|null)}} options - 选中的账号变化时回调
+   */
+  constructor({ onAccountChange } = {}) {
+    this.onAccountChange = onAccountChange || (() => {});
+    this.selected = null;
+    this.detected = null;
+    this.accounts = {};
+  }
+
+  // === 初始化 ===
+
+  async initializeAccounts() {
+    document.getElementById('accountSelect')?.addEventListener('change', (e) => this.selectAccount(e.target.value));
+
+    // 检测到新账号或在其他地方切换账号时由 background 写入 storage
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[CONSTANTS.ACCOUNTS_STORAGE_KEY]) {
+        this.apply(changes[CONSTANTS.ACCOUNTS_STORAGE_KEY].newValue);
+      }
+    });
+
+    try {
+      this.apply(await window.messageService.sendToBackground('GET_ACCOUNTS'));
+    } catch (error) {
+      console.warn('Failed to load accounts:', error);
+      this.render();
+    }
+  }
+
+  // === 数据 ===
+
+  apply(snapshot) {
+    const previous = this.selected;
+    this.selected = snapshot?.selected || null;
+    this.detected = snapshot?.detected || null;
+    this.accounts = snapshot?.accounts || {};
+    this.render();
+    if (this.selected !== previous) this.onAccountChange(this.selected);
+  }
+
+  async selectAccount(username) {
+    try {
+      this.apply(await window.messageService.sendToBackground('SELECT_ACCOUNT', { username }));
+    } catch (error) {
+      console.warn('Failed to select account:', error);
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationAccountSelectFailed'), 'error');
+      this.render();
+    }
+  }
+
+  /**
+   * 开始运行前检查页面上登录的账号；background 和 content script 还会各自再检查一次
+   * @returns {boolean} 可以开始时为 true
+   */
+  ensureActiveAccount() {
+    if (!this.isMismatched()) return true;
+    ClearTokUtils.showNotification(ClearTokUtils.getText('accountMismatch', {
+      detected: this.detected,
+      selected: this.selected
+    }), 'error');
+    return false;
+  }
+
+  isMismatched() {
+    return !!this.selected && !!this.detected && this.selected !== this.detected;
+  }
+
+  // === 渲染 ===
+
+  render() {
+    const select = document.getElementById('accountSelect');
+    const status = document.getElementById('accountStatus');
+
+    const usernames = Object.keys(this.accounts).sort();
+    if (select) {
+      select.disabled = usernames.length === 0;
+      select.innerHTML = usernames.length === 0
+        ? `<option value="">${ClearTokUtils.getText('accountNoneDetected')}</option>`
+        : usernames.map((username) => {
+          const safeName = ClearTokUtils.escapeHtml(username);
+          const suffix = username === this.detected ? ` ${ClearTokUtils.getText('accountLoggedInSuffix')}` : '';
+          return `<option value="${safeName}">@${safeName}${ClearTokUtils.escapeHtml(suffix)}</option>`;
+        }).join('');
+      if (this.selected) select.value = this.selected;
+    }
+
+    if (!status) return;
+    if (this.isMismatched()) {
+      status.innerHTML = `<span class="diagnostics-status invalid">${ClearTokUtils.escapeHtml(ClearTokUtils.getText('accountMismatch', {
+        detected: this.detected,
+        selected: this.selected
+      }))}</span>`;
+      return;
+    }
+    const totals = this.accounts[this.selected]?.totals;
+    status.textContent = totals
+      ? ClearTokUtils.getText('accountTotals', {
+        runs: String(totals.runs || 0),
+        removed: String(totals.removed || 0),
+        restored: String(totals.restored || 0)
+      })
+      : '';
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AccountsPanelManager;
+} else {
+  window.AccountsPanelManager = AccountsPanelManager;
+}
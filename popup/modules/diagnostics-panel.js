@@ -0,0 +1,158 @@
+/**
+ * 选择器诊断模块
+ * 由 background 转发到 TikTok 标签页，在真实页面上检查每个选择器是否还能匹配
+ */
+
+class DiagnosticsPanelManager {
+  /**
+   * @param {{onEditKey?: function(string): void}} hooks - 点击某个键的"编辑"时打开覆盖编辑器
+   */
+  constructor(hooks = {}) {
+    this.report = null;
+    this.onEditKey = hooks.onEditKey || null;
+  }
+
+  // === 初始化 ===
+
+  initializeDiagnostics() {
+    document.getElementById('diagnosticsButton')?.addEventListener('click', () => this.showDiagnostics());
+    document.getElementById('closeDiagnosticsModal')?.addEventListener('click', () => this.hideDiagnostics());
+    document.getElementById('runDiagnosticsButton')?.addEventListener('click', () => this.runDiagnostics());
+
+    document.getElementById('diagnosticsModal')?.addEventListener('click', (e) => {
+      if (e.target.id === 'diagnosticsModal') this.hideDiagnostics();
+    });
+
+    document.getElementById('diagnosticsList')?.addEventListener('click', (e) => {
+      const key = e.target.closest('[data-diagnostics-edit]')?.dataset.diagnosticsEdit;
+      if (key && this.onEditKey) {
+        this.hideDiagnostics();
+        this.onEditKey(key);
+      }
+    });
+  }
+
+  // === 弹窗 ===
+
+  async showDiagnostics() {
+    const modal = document.getElementById('diagnosticsModal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+    await this.runDiagnostics();
+  }
+
+  hideDiagnostics() {
+    const modal = document.getElementById('diagnosticsModal');
+    if (modal) modal.classList.add('hidden');
+    document.body.style.overflow = '';
+  }
+
+  // === 数据 ===
+
+  async runDiagnostics() {
+    const button = document.getElementById('runDiagnosticsButton');
+    if (button) button.disabled = true;
+    this.renderMessage(ClearTokUtils.getText('diagnosticsRunning'));
+
+    try {
+      this.report = await window.messageService.sendToBackground('RUN_DIAGNOSTICS');
+      this.renderReport();
+    } catch (error) {
+      console.warn('Failed to run diagnostics:', error);
+      this.report = null;
+      this.renderMessage(ClearTokUtils.getText('diagnosticsFailed', { error: error.message || String(error) }));
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  // === 渲染 ===
+
+  renderMessage(text) {
+    const summary = document.getElementById('diagnosticsSummary');
+    const list = document.getElementById('diagnosticsList');
+    if (summary) summary.textContent = '';
+    if (list) list.innerHTML = `<div class="no-videos">${ClearTokUtils.escapeHtml(text)}</div>`;
+  }
+
+  renderStatus(status) {
+    const keys = { matched: 'diagnosticsMatched', none: 'diagnosticsNoMatch', invalid: 'diagnosticsInvalid' };
+    const safeStatus = keys[status] ? status : 'none';
+    return `<span class="diagnostics-status ${safeStatus}">${ClearTokUtils.getText(keys[safeStatus])}</span>`;
+  }
+
+  renderSelector(entry) {
+    const detail = entry.status === 'invalid'
+      ? ClearTokUtils.escapeHtml(entry.error || '')
+      : ClearTokUtils.getText('diagnosticsMatchCount', { count: String(entry.count || 0) });
+    return `
+      <div class="diagnostics-selector ${entry.status}">
+        <code>${ClearTokUtils.escapeHtml(entry.selector)}</code>
+        <span class="diagnostics-selector-detail">${detail}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * @param {object} key - SelectorDiagnostics.checkKey 的结果
+   * @param {{editable?: boolean}} options - 覆盖编辑器的试匹配结果不显示"编辑"按钮
+   */
+  renderKey(key, { editable = true } = {}) {
+    const safeKey = ClearTokUtils.escapeHtml(key.key);
+    const source = key.source === 'override'
+      ? `<span class="diagnostics-status override">${ClearTokUtils.getText('diagnosticsSourceOverride')}</span>`
+      : '';
+    const edit = editable && this.onEditKey
+      ? `<button class="export-btn" data-diagnostics-edit="${safeKey}">${ClearTokUtils.getText('diagnosticsEditButton')}</button>`
+      : '';
+    // 匹配正常的键默认折叠，有问题的键展开
+    return `
+      <details class="diagnostics-key" ${key.status === 'matched' ? '' : 'open'}>
+        <summary>
+          <code>${safeKey}</code>
+          ${source}
+          ${this.renderStatus(key.status)}
+        </summary>
+        ${key.selectors.map(entry => this.renderSelector(entry)).join('')}
+        ${edit}
+      </details>
+    `;
+  }
+
+  renderReport() {
+    const report = this.report;
+    if (!report) return;
+
+    const summary = document.getElementById('diagnosticsSummary');
+    if (summary) {
+      summary.textContent = ClearTokUtils.getText('diagnosticsSummary', {
+        matched: String(report.summary.matched),
+        none: String(report.summary.none),
+        invalid: String(report.summary.invalid),
+        url: report.url
+      });
+    }
+
+    const list = document.getElementById('diagnosticsList');
+    if (!list) return;
+    list.innerHTML = report.groups.map((group) => {
+      const body = group.missing
+        ? `<div class="no-videos">${ClearTokUtils.getText('diagnosticsGroupMissing')}</div>`
+        : group.keys.map(key => this.renderKey(key)).join('');
+      return `
+        <div class="diagnostics-group">
+          <div class="diagnostics-group-title">${ClearTokUtils.escapeHtml(group.group)}</div>
+          ${body}
+        </div>
+      `;
+    }).join('');
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DiagnosticsPanelManager;
+} else {
+  window.DiagnosticsPanelManager = DiagnosticsPanelManager;
+}
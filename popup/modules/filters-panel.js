@@ -0,0 +1,164 @@
+/**
+ * 选择性删除规则编辑模块
+ * 规则保存在 chrome.storage.local（与 quotaInfo 并列），由 content script 的 RemovalFilter 在运行开始时读取
+ * 选中了 TikTok 账号时按账号保存（removalFilters:<用户名>），该账号还没有自己的规则时显示共用的规则
+ */
+
+class FiltersPanelManager {
+  constructor() {
+    this.filters = FiltersPanelManager.emptyFilters();
+    this.account = null;
+
+    // 表单字段 ID -> 规则字段
+    this.fieldMap = {
+      filterAuthorAllow: 'authorAllow',
+      filterAuthorDeny: 'authorDeny',
+      filterKeywords: 'keywords',
+      filterVideoIdAllow: 'videoIdAllow',
+      filterVideoIdDeny: 'videoIdDeny'
+    };
+  }
+
+  static emptyFilters() {
+    return {
+      enabled: true,
+      authorAllow: [],
+      authorDeny: [],
+      keywords: [],
+      videoIdAllow: [],
+      videoIdDeny: [],
+      olderThanDays: 0
+    };
+  }
+
+  // === 初始化 ===
+
+  async initializeFilters() {
+    document.getElementById('saveFiltersButton')?.addEventListener('click', () => this.saveFromForm());
+    document.getElementById('clearFiltersButton')?.addEventListener('click', () => this.clearFilters());
+
+    this.filters = await this.loadFilters();
+    this.renderForm();
+    this.updateSummary();
+  }
+
+  /**
+   * 切换账号后重新读取该账号的规则
+   * @param {string|null} account
+   */
+  async setAccount(account) {
+    this.account = account;
+    this.filters = await this.loadFilters();
+    this.renderForm();
+    this.updateSummary();
+  }
+
+  // === 存储 ===
+
+  // 与 modules/filters.js 的 RemovalFilter.storageKeyFor 保持一致
+  storageKey() {
+    return this.account ? `${CONSTANTS.FILTERS_STORAGE_KEY}:${this.account}` : CONSTANTS.FILTERS_STORAGE_KEY;
+  }
+
+  async loadFilters() {
+    try {
+      const key = this.storageKey();
+      const result = await chrome.storage.local.get([CONSTANTS.FILTERS_STORAGE_KEY, key]);
+      return { ...FiltersPanelManager.emptyFilters(), ...(result[key] || result[CONSTANTS.FILTERS_STORAGE_KEY] || {}) };
+    } catch (error) {
+      console.warn('Failed to load removal filters:', error);
+      return FiltersPanelManager.emptyFilters();
+    }
+  }
+
+  async saveFilters(filters) {
+    try {
+      await chrome.storage.local.set({ [this.storageKey()]: filters });
+      this.filters = filters;
+      return true;
+    } catch (error) {
+      console.warn('Failed to save removal filters:', error);
+      return false;
+    }
+  }
+
+  // === 表单 ===
+
+  /**
+   * 每行一项，同时接受逗号分隔
+   */
+  parseList(text) {
+    return String(text || '')
+      .split(/[\n,]/)
+      .map(item => item.trim())
+      .filter(Boolean);
+  }
+
+  renderForm() {
+    const enabled = document.getElementById('filtersEnabled');
+    if (enabled) enabled.checked = this.filters.enabled !== false;
+
+    Object.entries(this.fieldMap).forEach(([elementId, field]) => {
+      const element = document.getElementById(elementId);
+      if (element) element.value = (this.filters[field] || []).join('\n');
+    });
+
+    const olderThan = document.getElementById('filterOlderThanDays');
+    if (olderThan) olderThan.value = this.filters.olderThanDays || 0;
+  }
+
+  readForm() {
+    const filters = FiltersPanelManager.emptyFilters();
+    filters.enabled = document.getElementById('filtersEnabled')?.checked !== false;
+
+    Object.entries(this.fieldMap).forEach(([elementId, field]) => {
+      const element = document.getElementById(elementId);
+      filters[field] = this.parseList(element?.value);
+    });
+    filters.olderThanDays = Math.max(0, Number.parseInt(document.getElementById('filterOlderThanDays')?.value, 10) || 0);
+    return filters;
+  }
+
+  async saveFromForm() {
+    const success = await this.saveFilters(this.readForm());
+    this.updateSummary();
+    if (success) {
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationFiltersSaved'), 'success');
+    } else {
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationFiltersSaveFailed'), 'error');
+    }
+  }
+
+  async clearFilters() {
+    await this.saveFilters(FiltersPanelManager.emptyFilters());
+    this.renderForm();
+    this.updateSummary();
+    ClearTokUtils.showNotification(ClearTokUtils.getText('notificationFiltersCleared'), 'info');
+  }
+
+  /**
+   * 统计已配置的规则条数
+   */
+  countRules(filters = this.filters) {
+    if (filters.enabled === false) return 0;
+    const ageRule = filters.olderThanDays > 0 ? 1 : 0;
+    return Object.values(this.fieldMap).reduce((sum, field) => sum + (filters[field] || []).length, ageRule);
+  }
+
+  updateSummary() {
+    const badge = document.getElementById('filtersSummaryBadge');
+    if (!badge) return;
+    const count = this.countRules();
+    badge.textContent = count > 0
+      ? ClearTokUtils.getText('filtersActiveBadge', { count: String(count) })
+      : ClearTokUtils.getText('filtersInactiveBadge');
+    badge.classList.toggle('active', count > 0);
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FiltersPanelManager;
+} else {
+  window.FiltersPanelManager = FiltersPanelManager;
+}
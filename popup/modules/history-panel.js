@@ -0,0 +1,254 @@
+/**
+ * 运行历史查看模块
+ * 历史记录由 background 的 RunHistory 保存，这里只负责浏览、搜索和删除
+ * 选中了 TikTok 账号时只显示该账号的运行
+ */
+
+class HistoryPanelManager {
+  constructor() {
+    this.runs = [];
+    this.query = '';
+    this.account = null;
+    this.searchTimer = null;
+  }
+
+  /**
+   * @param {string|null} account
+   */
+  setAccount(account) {
+    this.account = account;
+    if (!document.getElementById('historyModal')?.classList.contains('hidden')) this.loadRuns();
+  }
+
+  // === 初始化 ===
+
+  initializeHistory() {
+    document.getElementById('historyButton')?.addEventListener('click', () => this.showHistory());
+    document.getElementById('closeHistoryModal')?.addEventListener('click', () => this.hideHistory());
+    document.getElementById('historyBackButton')?.addEventListener('click', () => this.showList());
+    document.getElementById('clearHistoryButton')?.addEventListener('click', () => this.clearHistory());
+
+    document.getElementById('historyModal')?.addEventListener('click', (e) => {
+      if (e.target.id === 'historyModal') this.hideHistory();
+    });
+
+    document.getElementById('historySearchInput')?.addEventListener('input', (e) => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => {
+        this.query = e.target.value;
+        this.loadRuns();
+      }, 250);
+    });
+
+    // 列表中的查看/删除按钮
+    document.getElementById('historyList')?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-run-action]');
+      if (!button) return;
+      if (button.dataset.runAction === 'view') this.showRun(button.dataset.runId);
+      if (button.dataset.runAction === 'delete') this.deleteRun(button.dataset.runId);
+    });
+  }
+
+  // === 弹窗 ===
+
+  async showHistory() {
+    const modal = document.getElementById('historyModal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+    this.showList();
+    await this.loadRuns();
+  }
+
+  hideHistory() {
+    const modal = document.getElementById('historyModal');
+    if (modal) modal.classList.add('hidden');
+    document.body.style.overflow = '';
+  }
+
+  showList() {
+    const listView = document.getElementById('historyListView');
+    const detailView = document.getElementById('historyDetailView');
+    if (listView) listView.style.display = 'block';
+    if (detailView) detailView.style.display = 'none';
+  }
+
+  // === 数据 ===
+
+  async loadRuns() {
+    try {
+      this.runs = await window.messageService.sendToBackground('GET_RUN_HISTORY', { query: this.query, username: this.account }) || [];
+    } catch (error) {
+      console.warn('Failed to load run history:', error);
+      this.runs = [];
+    }
+    this.renderList();
+  }
+
+  async deleteRun(id) {
+    try {
+      await window.messageService.sendToBackground('DELETE_RUN', { id });
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationRunDeleted'), 'info');
+    } catch (error) {
+      console.warn('Failed to delete run:', error);
+    }
+    await this.loadRuns();
+  }
+
+  async clearHistory() {
+    if (this.runs.length === 0) return;
+    const confirmText = this.account
+      ? ClearTokUtils.getText('historyClearAccountConfirm', { account: this.account })
+      : ClearTokUtils.getText('historyClearConfirm');
+    if (!window.confirm(confirmText)) return;
+
+    try {
+      await window.messageService.sendToBackground('CLEAR_RUN_HISTORY', { username: this.account });
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationHistoryCleared'), 'info');
+    } catch (error) {
+      console.warn('Failed to clear run history:', error);
+    }
+    await this.loadRuns();
+  }
+
+  // === 渲染 ===
+
+  formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleString() : '-';
+  }
+
+  formatDuration(run) {
+    if (!run.startTime || !run.endTime) return '';
+    const seconds = Math.max(0, Math.round((run.endTime - run.startTime) / 1000));
+    return seconds >= 60
+      ? ClearTokUtils.getText('durationMinutes', { minutes: String(Math.floor(seconds / 60)), seconds: String(seconds % 60) })
+      : ClearTokUtils.getText('durationSeconds', { seconds: String(seconds) });
+  }
+
+  renderMode(mode) {
+    const keys = { remove: 'historyModeRemove', scan: 'historyModeScan', restore: 'historyModeRestore' };
+    return `<span class="history-mode">${ClearTokUtils.getText(keys[mode] || keys.remove)}</span>`;
+  }
+
+  renderTarget(target) {
+    const keys = { likes: 'targetLikes', favorites: 'targetFavorites', following: 'targetFollowing' };
+    // 转发是默认目标，不单独标注
+    return keys[target] ? `<span class="history-mode">${ClearTokUtils.getText(keys[target])}</span>` : '';
+  }
+
+  renderReason(reason) {
+    const keys = {
+      complete: 'historyReasonComplete',
+      error: 'historyReasonError',
+      tab_closed: 'historyReasonTabClosed',
+      limit: 'historyReasonLimit'
+    };
+    const safeReason = keys[reason] ? reason : 'error';
+    return `<span class="history-reason ${safeReason}">${ClearTokUtils.getText(keys[safeReason])}</span>`;
+  }
+
+  renderCounts(run) {
+    const counts = run.counts || {};
+    if (run.mode === 'restore') {
+      return ClearTokUtils.getText('historyCountsRestore', { restored: String(counts.restored || 0), total: String(counts.total || 0) });
+    }
+    if (run.mode === 'scan') {
+      return ClearTokUtils.getText('historyCountsScan', { total: String(counts.total || 0) });
+    }
+    const removed = ClearTokUtils.getText('historyCountsRemove', { removed: String(counts.removed || 0), total: String(counts.total || 0) });
+    return counts.failed > 0
+      ? `${removed} · ${ClearTokUtils.getText('historyCountsFailed', { failed: String(counts.failed) })}`
+      : removed;
+  }
+
+  renderList() {
+    const list = document.getElementById('historyList');
+    if (!list) return;
+
+    const clearButton = document.getElementById('clearHistoryButton');
+    if (clearButton) clearButton.disabled = this.runs.length === 0;
+
+    if (this.runs.length === 0) {
+      const key = this.query ? 'historyNoMatches' : 'historyEmpty';
+      list.innerHTML = `<div class="no-videos">${ClearTokUtils.getText(key)}</div>`;
+      return;
+    }
+
+    list.innerHTML = this.runs.map((run) => {
+      const username = run.username ? `@${ClearTokUtils.escapeHtml(run.username)}` : ClearTokUtils.getText('videoUnknownAuthor');
+      const runId = ClearTokUtils.escapeHtml(run.id);
+      return `
+        <div class="history-entry">
+          <div class="history-entry-main">
+            <div class="history-entry-title">
+              ${this.renderMode(run.mode)}
+              ${this.renderTarget(run.target)}
+              <span>${username}</span>
+              ${this.renderReason(run.reason)}
+            </div>
+            <div class="history-entry-meta">${this.formatDate(run.startTime)} · ${this.renderCounts(run)}</div>
+          </div>
+          <div class="history-entry-actions">
+            <button class="export-btn" data-run-action="view" data-run-id="${runId}">${ClearTokUtils.getText('historyViewButton')}</button>
+            <button class="export-btn" data-run-action="delete" data-run-id="${runId}" title="${ClearTokUtils.getText('historyDeleteButton')}">✕</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async showRun(id) {
+    let run = null;
+    try {
+      run = await window.messageService.sendToBackground('GET_RUN', { id });
+    } catch (error) {
+      console.warn('Failed to load run:', error);
+    }
+    if (!run) return;
+
+    const listView = document.getElementById('historyListView');
+    const detailView = document.getElementById('historyDetailView');
+    if (listView) listView.style.display = 'none';
+    if (detailView) detailView.style.display = 'block';
+
+    const summary = document.getElementById('historyDetailSummary');
+    if (summary) {
+      const username = run.username ? `@${ClearTokUtils.escapeHtml(run.username)}` : ClearTokUtils.getText('videoUnknownAuthor');
+      summary.innerHTML = `
+        <div class="history-entry-title">
+          ${this.renderMode(run.mode)}
+          ${this.renderTarget(run.target)}
+          <span>${username}</span>
+          ${this.renderReason(run.reason)}
+        </div>
+        <div class="history-entry-meta">${this.formatDate(run.startTime)} → ${this.formatDate(run.endTime)} ${this.formatDuration(run)}</div>
+        <div class="history-entry-meta">${this.renderCounts(run)}</div>
+      `;
+    }
+
+    const items = run.mode === 'restore' ? run.restoredItems : run.removedItems;
+    const list = document.getElementById('historyDetailList');
+    if (!list) return;
+    if (!items || items.length === 0) {
+      list.innerHTML = `<div class="no-videos">${ClearTokUtils.getText('noRemovedVideos')}</div>`;
+      return;
+    }
+    list.innerHTML = items.map((video) => {
+      const videoTitle = video.title || ClearTokUtils.getText('videoUnknownTitle');
+      const videoAuthor = video.author || ClearTokUtils.getText('videoUnknownAuthor');
+      const linkText = `"${ClearTokUtils.escapeHtml(videoTitle)}" by ${ClearTokUtils.escapeHtml(videoAuthor.startsWith('@') ? videoAuthor : '@' + videoAuthor)}`;
+      return `
+        <div class="removed-video-line">
+          <a class="video-link" href="${ClearTokUtils.escapeHtml(video.url || '')}" target="_blank" rel="noopener noreferrer">${linkText}</a>
+        </div>
+      `;
+    }).join('');
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HistoryPanelManager;
+} else {
+  window.HistoryPanelManager = HistoryPanelManager;
+}
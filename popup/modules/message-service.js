@@ -6,6 +6,15 @@
 class MessageService {
   constructor() {
     this.messageHandlers = new Map();
+
+    // background 状态的本地镜像：STATE_CHANGED 只携带增量补丁，在这里合并后再交给处理器
+    this.state = null;
+    this.stateEpoch = null;
+    this.stateRevision = 0;
+    this.resyncPromise = null;
+    // 重新同步期间收到的补丁，快照到达后补上比快照新的部分
+    this.bufferedPatches = [];
+
     this.setupListener();
   }
 
@@ -19,6 +28,11 @@ class MessageService {
 
       console.log('[ClearTok Popup] Received:', message.type);
 
+      if (message.type === 'STATE_CHANGED') {
+        this.applyStatePatch(message.payload || {});
+        return;
+      }
+
       // 查找处理器
       const handler = this.messageHandlers.get(message.type);
       if (handler) {
@@ -39,6 +53,67 @@ class MessageService {
     });
   }
 
+  /**
+   * 按 revision 顺序合并补丁；首次收到、出现缺口或 background 重启时重新获取完整状态
+   */
+  async applyStatePatch({ epoch, revision, patch }) {
+    if (typeof revision !== 'number' || !patch) return;
+
+    if (this.resyncPromise || !this.state || epoch !== this.stateEpoch || revision > this.stateRevision + 1) {
+      // 快照可能在这条补丁之前生成，先留着，快照到达后按 revision 补上
+      this.bufferedPatches.push({ epoch, revision, patch });
+      await this.resyncState();
+    } else if (revision <= this.stateRevision) {
+      return; // 过期或重复的补丁
+    } else {
+      this.state = this.deepMerge(this.state, patch);
+      this.stateRevision = revision;
+    }
+
+    const handler = this.messageHandlers.get('STATE_CHANGED');
+    if (handler && this.state) handler(this.state);
+  }
+
+  async resyncState() {
+    if (!this.resyncPromise) {
+      this.resyncPromise = this.sendToBackground('GET_STATE')
+        .then(snapshot => {
+          if (!snapshot) return;
+          const { epoch, revision, ...state } = snapshot;
+          this.state = state;
+          this.stateEpoch = epoch;
+          this.stateRevision = revision || 0;
+
+          const buffered = this.bufferedPatches
+            .filter(entry => entry.epoch === this.stateEpoch && entry.revision > this.stateRevision)
+            .sort((a, b) => a.revision - b.revision);
+          this.bufferedPatches = [];
+          for (const entry of buffered) {
+            if (entry.revision !== this.stateRevision + 1) break; // 仍有缺口，等下一次补丁触发重新同步
+            this.state = this.deepMerge(this.state, entry.patch);
+            this.stateRevision = entry.revision;
+          }
+        })
+        .catch(error => console.warn('[ClearTok Popup] State resync failed:', error))
+        .finally(() => {
+          this.resyncPromise = null;
+        });
+    }
+    return this.resyncPromise;
+  }
+
+  deepMerge(target, source) {
+    const result = { ...target };
+    for (const key in source) {
+      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+        result[key] = this.deepMerge(result[key] || {}, source[key]);
+      } else {
+        result[key] = source[key];
+      }
+    }
+    return result;
+  }
+
   /**
    * 发送消息到 background
    */
@@ -0,0 +1,278 @@
+/**
+ * 选择器本地覆盖编辑器
+ * 覆盖保存在 chrome.storage.local 的 selectorOverrides 中，由 content script 的 ConfigManager 叠加在远程/后备选择器之上。
+ * 每条覆盖记录保存时的基础值：远程更新改动了同一个键时在列表中标记出来，由用户决定保留还是移除。
+ */
+
+class SelectorOverridesManager {
+  /**
+   * @param {DiagnosticsPanelManager} diagnosticsPanel - 复用诊断面板的渲染
+   */
+  constructor(diagnosticsPanel) {
+    this.diagnosticsPanel = diagnosticsPanel;
+    // 与 content script 使用同一个 ConfigManager 计算基础值和来源
+    this.config = new ConfigManager();
+    this.fallbackLoaded = false;
+    this.currentKey = null;
+  }
+
+  // === 初始化 ===
+
+  initializeOverrides() {
+    const select = document.getElementById('overrideKeySelect');
+    if (select) {
+      select.innerHTML = Object.keys(SelectorSchema.FIELDS)
+        .map(key => `<option value="${ClearTokUtils.escapeHtml(key)}">${ClearTokUtils.escapeHtml(key)}</option>`)
+        .join('');
+      select.addEventListener('change', () => this.selectKey(select.value));
+    }
+
+    document.getElementById('overridesButton')?.addEventListener('click', () => this.showOverrides());
+    document.getElementById('closeOverridesModal')?.addEventListener('click', () => this.hideOverrides());
+    document.getElementById('testOverrideButton')?.addEventListener('click', () => this.testOverride());
+    document.getElementById('saveOverrideButton')?.addEventListener('click', () => this.saveOverride());
+    document.getElementById('removeOverrideButton')?.addEventListener('click', () => this.removeOverride(this.currentKey));
+
+    document.getElementById('overridesModal')?.addEventListener('click', (e) => {
+      if (e.target.id === 'overridesModal') this.hideOverrides();
+    });
+
+    document.getElementById('overrideList')?.addEventListener('click', (e) => {
+      const editKey = e.target.closest('[data-override-edit]')?.dataset.overrideEdit;
+      const removeKey = e.target.closest('[data-override-remove]')?.dataset.overrideRemove;
+      if (editKey) this.selectKey(editKey);
+      if (removeKey) this.removeOverride(removeKey);
+    });
+  }
+
+  // === 弹窗 ===
+
+  /**
+   * @param {string} [key] - 从诊断面板跳转时要编辑的键
+   */
+  async showOverrides(key) {
+    const modal = document.getElementById('overridesModal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
+
+    await this.loadConfig();
+    this.renderList();
+    this.selectKey(key && SelectorSchema.typeOf(key) ? key : (this.currentKey || Object.keys(SelectorSchema.FIELDS)[0]));
+  }
+
+  hideOverrides() {
+    const modal = document.getElementById('overridesModal');
+    if (modal) modal.classList.add('hidden');
+    document.body.style.overflow = '';
+  }
+
+  // === 数据 ===
+
+  async loadConfig() {
+    if (!this.fallbackLoaded) {
+      await this.config.loadFallback();
+      this.fallbackLoaded = true;
+    }
+    await this.config.loadStored();
+  }
+
+  selectKey(key) {
+    this.currentKey = key;
+    const select = document.getElementById('overrideKeySelect');
+    if (select) select.value = key;
+
+    const override = this.config.overrides[key];
+    const value = override ? override.value : this.config.getBase(key);
+    const input = document.getElementById('overrideValueInput');
+    if (input) input.value = this.formatValue(value);
+
+    const removeButton = document.getElementById('removeOverrideButton');
+    if (removeButton) removeButton.disabled = !override;
+
+    const info = document.getElementById('overrideKeyInfo');
+    if (info) {
+      const type = SelectorSchema.typeOf(key);
+      info.textContent = [
+        ClearTokUtils.getText(`overridesType_${type}`),
+        ClearTokUtils.getText('overridesSource', { source: this.config.sourceOf(key) })
+      ].join(' · ');
+    }
+    this.renderResult('');
+  }
+
+  formatValue(value) {
+    // 语义定位器对象每个占一行 JSON
+    const formatEntry = entry => (typeof entry === 'object' && entry !== null ? JSON.stringify(entry) : String(entry));
+    if (Array.isArray(value)) return value.map(formatEntry).join('\n');
+    return value === null || value === undefined ? '' : formatEntry(value);
+  }
+
+  /**
+   * 以 { 开头的行按语义定位器解析；解析失败时保留原文，由 schema 校验报错
+   */
+  parseSelectorLine(line) {
+    if (!line.startsWith('{')) return line;
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return line;
+    }
+  }
+
+  /**
+   * 按键的类型把输入框内容转换为配置值：选择器和列表一行一条
+   */
+  parseInput(key) {
+    const text = document.getElementById('overrideValueInput')?.value || '';
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    switch (SelectorSchema.typeOf(key)) {
+      case 'selector': {
+        const entries = lines.map(line => this.parseSelectorLine(line));
+        return entries.length === 1 ? entries[0] : entries;
+      }
+      case 'list':
+        return lines;
+      case 'text':
+        // 按语言分组的文字以 JSON 对象编辑
+        return text.trim().startsWith('{') ? this.parseSelectorLine(text.trim()) : lines;
+      case 'number':
+        return text.trim() === '' ? NaN : Number(text.trim());
+      default:
+        return text.trim();
+    }
+  }
+
+  /**
+   * @returns {*} 校验通过时返回解析后的值，否则渲染错误并返回 undefined
+   */
+  readValidInput() {
+    const key = this.currentKey;
+    const value = this.parseInput(key);
+    const { valid, errors } = SelectorSchema.validate(key, value);
+    if (!valid) {
+      this.renderErrors(errors);
+      return undefined;
+    }
+    return value;
+  }
+
+  async testOverride() {
+    const value = this.readValidInput();
+    if (value === undefined) return;
+
+    if (SelectorSchema.typeOf(this.currentKey) !== 'selector') {
+      this.renderResult(ClearTokUtils.getText('overridesValidNotTestable'));
+      return;
+    }
+
+    const button = document.getElementById('testOverrideButton');
+    if (button) button.disabled = true;
+    this.renderResult(ClearTokUtils.getText('diagnosticsRunning'));
+    try {
+      const result = await window.messageService.sendToBackground('TEST_SELECTORS', { key: this.currentKey, value });
+      const list = document.getElementById('overrideResult');
+      if (list) list.innerHTML = this.diagnosticsPanel.renderKey(result, { editable: false });
+    } catch (error) {
+      console.warn('Failed to test selector override:', error);
+      this.renderResult(ClearTokUtils.getText('diagnosticsFailed', { error: error.message || String(error) }));
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  async saveOverride() {
+    const key = this.currentKey;
+    const value = this.readValidInput();
+    if (value === undefined) return;
+
+    try {
+      const { selectorsMeta } = await chrome.storage.local.get('selectorsMeta');
+      const overrides = {
+        ...this.config.overrides,
+        [key]: {
+          value,
+          updatedAt: Date.now(),
+          // 记录保存时的基础值，之后远程更新改动这个键时可以提示
+          baseValue: this.config.getBase(key),
+          baseVersion: selectorsMeta?.version || null
+        }
+      };
+      await chrome.storage.local.set({ [CONSTANTS.SELECTOR_OVERRIDES_STORAGE_KEY]: overrides });
+      await this.loadConfig();
+      this.renderList();
+      this.selectKey(key);
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationOverrideSaved'), 'success');
+    } catch (error) {
+      console.error('Failed to save selector override:', error);
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationOverrideSaveFailed'), 'error');
+    }
+  }
+
+  async removeOverride(key) {
+    if (!key || !this.config.overrides[key]) return;
+    const { [key]: removed, ...overrides } = this.config.overrides;
+    await chrome.storage.local.set({ [CONSTANTS.SELECTOR_OVERRIDES_STORAGE_KEY]: overrides });
+    await this.loadConfig();
+    this.renderList();
+    if (key === this.currentKey) this.selectKey(key);
+    ClearTokUtils.showNotification(ClearTokUtils.getText('notificationOverrideRemoved'), 'info');
+  }
+
+  /**
+   * 保存覆盖之后，远程选择器是否改动了同一个键
+   */
+  isStale(key, override) {
+    return JSON.stringify(this.config.getBase(key)) !== JSON.stringify(override.baseValue ?? null);
+  }
+
+  // === 渲染 ===
+
+  renderResult(text) {
+    const list = document.getElementById('overrideResult');
+    if (list) list.innerHTML = text ? `<div class="no-videos">${ClearTokUtils.escapeHtml(text)}</div>` : '';
+  }
+
+  renderErrors(errors) {
+    const list = document.getElementById('overrideResult');
+    if (!list) return;
+    list.innerHTML = errors
+      .map(error => `<div class="diagnostics-selector invalid"><code>${ClearTokUtils.escapeHtml(error)}</code></div>`)
+      .join('');
+  }
+
+  renderList() {
+    const list = document.getElementById('overrideList');
+    if (!list) return;
+
+    const entries = Object.entries(this.config.overrides).sort(([a], [b]) => a.localeCompare(b));
+    if (entries.length === 0) {
+      list.innerHTML = `<div class="no-videos">${ClearTokUtils.getText('overridesEmpty')}</div>`;
+      return;
+    }
+
+    list.innerHTML = entries.map(([key, override]) => {
+      const safeKey = ClearTokUtils.escapeHtml(key);
+      const stale = this.isStale(key, override)
+        ? `<span class="diagnostics-status invalid" title="${ClearTokUtils.getText('overridesStaleHint')}">${ClearTokUtils.getText('overridesStale')}</span>`
+        : '';
+      const updated = ClearTokUtils.getText('overridesUpdatedAt', { time: new Date(override.updatedAt).toLocaleString() });
+      return `
+        <div class="schedule-entry">
+          <button class="export-btn" data-override-edit="${safeKey}"><code>${safeKey}</code></button>
+          ${stale}
+          <div class="schedule-entry-meta">${ClearTokUtils.escapeHtml(updated)}</div>
+          <button class="export-btn" data-override-remove="${safeKey}" title="${ClearTokUtils.getText('overridesRemoveButton')}">✕</button>
+        </div>
+      `;
+    }).join('');
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectorOverridesManager;
+} else {
+  window.SelectorOverridesManager = SelectorOverridesManager;
+}
@@ -10,11 +10,21 @@ class ProcessLoggerManager {
     this.totalVideos = 0;
     this.processedVideos = 0;
     this.removedVideos = 0;
+    this.scanMode = false; // 仅扫描（预览）模式
+    this.scanFinished = false; // 扫描结束后清单可勾选
+    this.restoredVideos = 0;
 
     // 数据存储
     this.actionLog = [];
     this.removedUrls = [];
     this.pendingUrls = [];
+    this.scannedVideos = [];
+    this.selectedScanUrls = new Set();
+    this.selectedRestoreUrls = new Set();
+    this.removedPageOffset = 0; // 已从 background 分页读取的条目数
+    this.removedTotal = null;   // background 中的条目总数（null 表示尚未读取）
+    this.isLoadingRemoved = false;
+    this.stillPresentItems = []; // 运行后核对时仍在列表中的条目（可重试）
 
     // 日志相关
     this.logQueue = [];
@@ -24,7 +34,11 @@ class ProcessLoggerManager {
 
   // === 核心处理流程 ===
 
-  async startRemoval(sessionAuth) {
+  /**
+   * @param {SessionAuthManager} sessionAuth
+   * @param {'remove'|'scan'} mode - scan 只列出转发，不做任何删除
+   */
+  async startRemoval(sessionAuth, mode = 'remove') {
     if (this.isProcessing) return;
 
     // 不需要在这里检查标签页和 content script
@@ -32,6 +46,7 @@ class ProcessLoggerManager {
     // 直接发送开始命令到 background
 
     this.isProcessing = true;
+    this.scanMode = mode === 'scan';
 
     // 追踪 "处理开始" 事件（附带 uid / is_premium / remaining）
     try {
@@ -42,7 +57,7 @@ class ProcessLoggerManager {
       const remaining = Math.max(0, (sessionAuth && sessionAuth.quotaInfo && typeof sessionAuth.quotaInfo.remaining !== 'undefined')
         ? sessionAuth.quotaInfo.remaining
         : 0);
-      sessionAuth.trackEvent('process_started', { uid, is_premium: isPremium, remaining });
+      sessionAuth.trackEvent('process_started', { uid, is_premium: isPremium, remaining, mode });
     } catch (_) {
       // 忽略采集失败，不影响主流程
       sessionAuth.trackEvent('process_started');
@@ -50,14 +65,45 @@ class ProcessLoggerManager {
 
     this.clearProcessingData();
     this.setState('processing');
+    this.setScanLayout(this.scanMode);
     this.updateStatus(ClearTokUtils.getText('statusInitializing'));
     this.updateProgress(0, 1);
-    this.addLogEntry(ClearTokUtils.getText('logStartingProcess'), 'info');
+    this.addLogEntry(ClearTokUtils.getText(this.scanMode ? 'logStartingScan' : 'logStartingProcess'), 'info');
 
     try {
       // 使用新的消息服务发送消息到 background
-      await window.messageService.sendToBackground('REMOVE_REPOSTS', {
-        extensionId: chrome.runtime.id
+      await window.messageService.sendToBackground(this.scanMode ? 'SCAN_REPOSTS' : 'REMOVE_REPOSTS', {
+        extensionId: chrome.runtime.id,
+        target: document.getElementById('cleanupTarget')?.value || 'reposts'
+      });
+    } catch (error) {
+      this.handleError('Failed to start removal process', error);
+    }
+  }
+
+  /**
+   * 只删除扫描清单中勾选的转发：由 background 逐个直接打开 /video/<id> 处理
+   * @param {SessionAuthManager} sessionAuth
+   * @param {Array<object>} items - 已勾选的扫描条目
+   */
+  async startSelectedRemoval(sessionAuth, items, { retry = false } = {}) {
+    if (this.isProcessing || items.length === 0) return;
+
+    this.isProcessing = true;
+    this.scanMode = false;
+    sessionAuth.trackEvent('selected_removal_started', { selected: items.length, retry });
+
+    this.clearProcessingData();
+    this.setState('processing');
+    this.setScanLayout(false);
+    this.updateStatus(ClearTokUtils.getText('statusInitializing'));
+    this.updateProgress(0, items.length);
+    this.addLogEntry(ClearTokUtils.getText('logStartingSelectedRemoval', { count: String(items.length) }), 'info');
+
+    try {
+      await window.messageService.sendToBackground('REMOVE_SELECTED', {
+        items: items.map(({ url, title, author, videoId, target }) => ({ url, title, author, videoId, target })),
+        retry
       });
     } catch (error) {
       this.handleError('Failed to start removal process', error);
@@ -71,12 +117,22 @@ class ProcessLoggerManager {
     this.actionLog = [];
     this.removedUrls = [];
     this.pendingUrls = [];
+    this.scannedVideos = [];
+    this.selectedScanUrls = new Set();
+    this.scanFinished = false;
+    this.selectedRestoreUrls = new Set();
+    this.restoredVideos = 0;
+    this.removedPageOffset = 0;
+    this.removedTotal = null;
+    this.stillPresentItems = [];
+    this.showReconcileSummary(null);
 
     const actionLog = document.getElementById('actionLog');
     if (actionLog) actionLog.innerHTML = '';
 
     this.updateRemovedVideosList('removedVideosList', 'removedCount');
-    this.updateRemovedVideosList('removedVideosListComplete', 'removedCountComplete');
+    this.updateRemovedVideosList('removedVideosListComplete', 'removedCountComplete', true);
+    this.updateScannedVideosList();
 
     const progressFill = document.getElementById('progressFill');
     if (progressFill) progressFill.style.width = '0%';
@@ -87,24 +143,30 @@ class ProcessLoggerManager {
 
   async togglePause() {
     // 简化版本 - 直接切换状态并发送消息
-    this.isPaused = !this.isPaused;
-    const pauseButton = document.getElementById('pauseButton');
+    this.setPausedUi(!this.isPaused);
 
     if (this.isPaused) {
-      pauseButton.textContent = ClearTokUtils.getText('resumeButton');
-      pauseButton.className = 'control-button resume';
       this.addLogEntry(ClearTokUtils.getText('logProcessPaused'), 'info');
       // 发送暂停消息，忽略错误
       window.messageService.sendToBackground('PAUSE_REMOVAL').catch(() => {});
     } else {
-      pauseButton.textContent = ClearTokUtils.getText('pauseButton');
-      pauseButton.className = 'control-button pause';
       this.addLogEntry(ClearTokUtils.getText('logProcessResumed'), 'info');
       // 发送恢复消息，忽略错误
       window.messageService.sendToBackground('RESUME_REMOVAL').catch(() => {});
     }
   }
 
+  /**
+   * 只更新暂停按钮和本地状态，不发送消息（验证码检测在页面端自行暂停/恢复）
+   */
+  setPausedUi(isPaused) {
+    this.isPaused = isPaused;
+    const pauseButton = document.getElementById('pauseButton');
+    if (!pauseButton) return;
+    pauseButton.textContent = ClearTokUtils.getText(isPaused ? 'resumeButton' : 'pauseButton');
+    pauseButton.className = `control-button ${isPaused ? 'resume' : 'pause'}`;
+  }
+
   // 检查TikTok标签页状态
   async checkTabConnection() {
     try {
@@ -197,6 +259,7 @@ class ProcessLoggerManager {
   restart(sessionAuth) {
     this.isProcessing = false;
     this.isPaused = false;
+    this.scanMode = false;
 
     // 追踪 "重启" 事件
     if (sessionAuth && sessionAuth.sessionId) {
@@ -204,6 +267,7 @@ class ProcessLoggerManager {
     }
 
     this.clearProcessingData();
+    this.setScanLayout(false);
     this.setState('welcome');
 
     const pauseButton = document.getElementById('pauseButton');
@@ -213,6 +277,24 @@ class ProcessLoggerManager {
     }
   }
 
+  /**
+   * 切换处理界面的扫描/删除布局：扫描时显示扫描清单，隐藏已删除列表
+   * @param {boolean} isScan
+   * @param {boolean} isFinished - 扫描结束后用扫描操作按钮替换暂停按钮
+   */
+  setScanLayout(isScan, isFinished = false) {
+    const scanSection = document.getElementById('scanResultsSection');
+    const removedSection = document.getElementById('removedVideosSection');
+    const controls = document.getElementById('processControls');
+    const scanControls = document.getElementById('scanControls');
+
+    if (scanSection) scanSection.style.display = isScan ? 'block' : 'none';
+    if (removedSection) removedSection.style.display = isScan ? 'none' : 'block';
+    if (controls) controls.style.display = isScan && isFinished ? 'none' : 'flex';
+    if (scanControls) scanControls.style.display = isScan && isFinished ? 'flex' : 'none';
+    this.updateSelectionControls();
+  }
+
   setState(newState) {
     const states = ['welcome', 'processing', 'complete', 'error'];
     states.forEach(state => {
@@ -290,7 +372,11 @@ class ProcessLoggerManager {
         completionMessage.textContent = messageText;
       }
     }
-    this.updateRemovedVideosList('removedVideosListComplete', 'removedCountComplete');
+    this.updateRemovedVideosList('removedVideosListComplete', 'removedCountComplete', true);
+    // 随后会重新扫描列表核对删除结果（RECONCILE_COMPLETE）
+    if (message.reconciling) {
+      this.showReconcileSummary(ClearTokUtils.getText('reconcileInProgress'));
+    }
     const shareBtn = document.getElementById('shareCardButton');
     if (shareBtn) {
       shareBtn.style.display = this.removedUrls.length > 0 ? 'block' : 'none';
@@ -321,6 +407,37 @@ class ProcessLoggerManager {
     }
   }
 
+  handleScanComplete(message, sessionAuth) {
+    this.isProcessing = false;
+    this.isPaused = false;
+
+    // 以 content script 汇总的清单为准（可能有个别 VIDEO_SCANNED 消息在侧边栏关闭期间丢失）
+    if (Array.isArray(message.items)) {
+      this.scannedVideos = message.items;
+    }
+    const total = message.totalCount ?? this.scannedVideos.length;
+    const matched = message.matchedCount ?? this.scannedVideos.filter(item => item.wouldRemove).length;
+
+    // 默认勾选规则判定为删除的条目，用户可在清单中调整
+    this.scanFinished = true;
+    this.selectedScanUrls = new Set(
+      this.scannedVideos.filter(item => item.wouldRemove && this.isSelectable(item)).map(item => item.url)
+    );
+
+    sessionAuth.trackEvent('scan_completed', {
+      total_reposts_found: total,
+      matched_reposts: matched
+    });
+
+    this.updateProgress(total, total);
+    this.updateScannedVideosList();
+    this.setScanLayout(true, true);
+
+    const summary = ClearTokUtils.getText('statusScanComplete', { total: String(total), matched: String(matched) });
+    this.updateStatus(summary);
+    this.addLogEntry(summary, 'success');
+  }
+
   handleNoReposts(message, sessionAuth) {
     this.isProcessing = false;
     this.setState('complete');
@@ -610,25 +727,114 @@ class ProcessLoggerManager {
 
   // === 视频管理 ===
 
+  // === 扫描清单勾选 ===
+
+  /**
+   * 只有确认为转发且带视频链接的条目可以勾选删除
+   */
+  isSelectable(item) {
+    return !!item.isReposted && typeof item.url === 'string' && item.url.includes('/video/');
+  }
+
+  getSelectedScanItems() {
+    return this.scannedVideos.filter(item => this.isSelectable(item) && this.selectedScanUrls.has(item.url));
+  }
+
+  toggleScanSelection(url, checked) {
+    if (checked) {
+      this.selectedScanUrls.add(url);
+    } else {
+      this.selectedScanUrls.delete(url);
+    }
+    this.updateSelectionControls();
+  }
+
+  /**
+   * @param {boolean} selectAll - true 全选可删除条目，false 全部取消
+   */
+  setAllScanSelection(selectAll) {
+    this.selectedScanUrls = new Set(
+      selectAll ? this.scannedVideos.filter(item => this.isSelectable(item)).map(item => item.url) : []
+    );
+    this.updateScannedVideosList();
+  }
+
+  updateSelectionControls() {
+    const selection = document.getElementById('scanSelectionControls');
+    if (selection) selection.style.display = this.scanFinished ? 'flex' : 'none';
+
+    const button = document.getElementById('removeSelectedButton');
+    if (!button) return;
+    const count = this.getSelectedScanItems().length;
+    button.textContent = ClearTokUtils.getText('removeSelectedButton', { count: String(count) });
+    button.disabled = count === 0;
+  }
+
+  addScannedVideo(item) {
+    this.scannedVideos.push(item);
+    this.updateScannedVideosList();
+  }
+
+  updateScannedVideosList() {
+    const list = document.getElementById('scannedVideosList');
+    const count = document.getElementById('scannedCount');
+    if (!list || !count) return;
+
+    count.textContent = this.scannedVideos.length;
+    if (this.scannedVideos.length === 0) {
+      list.innerHTML = `<div class="no-videos">${ClearTokUtils.getText('noScannedVideos')}</div>`;
+      return;
+    }
+
+    list.innerHTML = this.scannedVideos.map((video) => {
+      const videoTitle = video.title || ClearTokUtils.getText('videoUnknownTitle');
+      const videoAuthor = video.author || ClearTokUtils.getText('videoUnknownAuthor');
+      const url = video.url || '';
+      const linkText = `"${ClearTokUtils.escapeHtml(videoTitle)}" by ${ClearTokUtils.escapeHtml(videoAuthor.startsWith('@') ? videoAuthor : '@' + videoAuthor)}`;
+      const badge = video.wouldRemove
+        ? `<span class="scan-badge remove">${ClearTokUtils.getText('scanBadgeRemove')}</span>`
+        : `<span class="scan-badge keep" title="${ClearTokUtils.escapeHtml(video.reason || '')}">${ClearTokUtils.getText('scanBadgeKeep')}</span>`;
+      const checkbox = this.scanFinished
+        ? `<input type="checkbox" class="scan-select" data-url="${ClearTokUtils.escapeHtml(url)}"${this.selectedScanUrls.has(url) ? ' checked' : ''}${this.isSelectable(video) ? '' : ' disabled'}>`
+        : '';
+      return `
+        <div class="removed-video-line">
+          ${checkbox}
+          <a class="video-link" href="${ClearTokUtils.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${linkText}</a>
+          ${badge}
+        </div>
+      `;
+    }).join('');
+    this.updateSelectionControls();
+  }
+
   addRemovedVideo(videoInfo) {
     this.removedUrls.push({ ...videoInfo, timestamp: new Date().toLocaleString() });
     this.updateRemovedVideosList('removedVideosList', 'removedCount');
-    this.updateRemovedVideosList('removedVideosListComplete', 'removedCountComplete');
+    this.updateRemovedVideosList('removedVideosListComplete', 'removedCountComplete', true);
   }
 
-  updateRemovedVideosList(listId, countId) {
+  /**
+   * @param {boolean} selectable - 完成页列出全部条目并可勾选恢复；处理中只显示最近 10 条
+   */
+  updateRemovedVideosList(listId, countId, selectable = false) {
     const list = document.getElementById(listId);
     const count = document.getElementById(countId);
     if (list && count) {
       count.textContent = this.removedUrls.length;
       if (this.removedUrls.length > 0) {
-        list.innerHTML = this.removedUrls.slice(-10).map((video) => {
+        const videos = selectable ? this.removedUrls : this.removedUrls.slice(-10);
+        list.innerHTML = videos.map((video) => {
           const videoTitle = video.title || ClearTokUtils.getText('videoUnknownTitle');
           const videoAuthor = video.author || ClearTokUtils.getText('videoUnknownAuthor');
           const url = video.url || '';
           const linkText = `"${ClearTokUtils.escapeHtml(videoTitle)}" by ${ClearTokUtils.escapeHtml(videoAuthor.startsWith('@') ? videoAuthor : '@' + videoAuthor)}`;
+          const checkbox = selectable
+            ? `<input type="checkbox" class="restore-select" data-url="${ClearTokUtils.escapeHtml(url)}"${this.selectedRestoreUrls.has(url) ? ' checked' : ''}>`
+            : '';
           return `
             <div class="removed-video-line">
+              ${checkbox}
               <a class="video-link" href="${ClearTokUtils.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${linkText}</a>
             </div>
           `;
@@ -637,6 +843,174 @@ class ProcessLoggerManager {
         list.innerHTML = `<div class="no-videos">${ClearTokUtils.getText('noRemovedVideos')}</div>`;
       }
     }
+    if (selectable) this.updateRestoreControls();
+  }
+
+  // === 撤销删除（重新转发） ===
+
+  toggleRestoreSelection(url, checked) {
+    if (checked) {
+      this.selectedRestoreUrls.add(url);
+    } else {
+      this.selectedRestoreUrls.delete(url);
+    }
+    this.updateRestoreControls();
+  }
+
+  updateRestoreControls() {
+    const selectedButton = document.getElementById('restoreSelectedButton');
+    if (selectedButton) {
+      const count = this.selectedRestoreUrls.size;
+      selectedButton.textContent = ClearTokUtils.getText('restoreSelectedButton', { count: String(count) });
+      selectedButton.disabled = count === 0;
+    }
+    const allButton = document.getElementById('restoreAllButton');
+    if (allButton) allButton.disabled = this.removedUrls.length === 0;
+    const loadMoreButton = document.getElementById('loadMoreRemovedButton');
+    if (loadMoreButton) loadMoreButton.style.display = this.removedTotal > this.removedPageOffset ? 'block' : 'none';
+  }
+
+  /**
+   * 从 background 的 IndexedDB 读取下一页已删除条目
+   * 侧边栏在运行期间关闭过时，本地列表只含打开后收到的条目，用它补全
+   */
+  async loadMoreRemoved() {
+    if (this.isLoadingRemoved) return;
+    this.isLoadingRemoved = true;
+
+    try {
+      const page = await window.messageService.sendToBackground('GET_REMOVED_PAGE', {
+        offset: this.removedPageOffset,
+        limit: CONSTANTS.REMOVED_PAGE_SIZE
+      });
+      const items = page?.items || [];
+      const known = new Set(this.removedUrls.map(video => video.url));
+      items.forEach(({ title, author, url, removedAt }) => {
+        if (known.has(url)) return;
+        this.removedUrls.push({ title, author, url, timestamp: new Date(removedAt || Date.now()).toLocaleString() });
+      });
+      this.removedPageOffset += items.length;
+      this.removedTotal = page?.total || 0;
+    } catch (error) {
+      console.warn('Failed to load removed videos:', error);
+    } finally {
+      this.isLoadingRemoved = false;
+    }
+
+    this.updateRemovedVideosList('removedVideosListComplete', 'removedCountComplete', true);
+  }
+
+  // === 运行后核对 ===
+
+  /**
+   * @param {string|null} text - 为 null 时隐藏核对区域
+   */
+  showReconcileSummary(text, stillPresent = []) {
+    const summary = document.getElementById('reconcileSummary');
+    if (!summary) return;
+    summary.style.display = text ? 'block' : 'none';
+
+    const textElement = document.getElementById('reconcileText');
+    if (textElement) textElement.textContent = text || '';
+
+    const list = document.getElementById('stillPresentList');
+    if (list) {
+      list.innerHTML = stillPresent.map((video) => {
+        const videoTitle = video.title || ClearTokUtils.getText('videoUnknownTitle');
+        const videoAuthor = video.author || ClearTokUtils.getText('videoUnknownAuthor');
+        return `
+          <div class="removed-video-line">
+            <a class="video-link" href="${ClearTokUtils.escapeHtml(video.url || '')}" target="_blank" rel="noopener noreferrer">"${ClearTokUtils.escapeHtml(videoTitle)}" by ${ClearTokUtils.escapeHtml(videoAuthor)}</a>
+          </div>
+        `;
+      }).join('');
+    }
+
+    const retryButton = document.getElementById('retryStillPresentButton');
+    if (retryButton) {
+      const retryable = stillPresent.filter(item => typeof item.url === 'string' && item.url.includes('/video/'));
+      retryButton.style.display = retryable.length > 0 ? 'inline-block' : 'none';
+      retryButton.textContent = ClearTokUtils.getText('retryStillPresentButton', { count: String(retryable.length) });
+    }
+  }
+
+  /**
+   * 核对完成：用核对后的数字替换乐观的完成计数，仍在列表中的条目移出删除列表
+   */
+  handleReconcileComplete(message) {
+    const stillPresent = message.stillPresent || [];
+    this.stillPresentItems = stillPresent.filter(item => typeof item.url === 'string' && item.url.includes('/video/'));
+
+    const present = new Set(stillPresent.map(item => item.url));
+    this.removedUrls = this.removedUrls.filter(video => !present.has(video.url));
+    this.removedVideos = Math.max(0, this.removedVideos - stillPresent.length);
+    this.updateRemovedVideosList('removedVideosListComplete', 'removedCountComplete', true);
+
+    const text = ClearTokUtils.getText('reconcileResult', {
+      verified: String(message.verifiedCount || 0),
+      present: String(stillPresent.length)
+    });
+    const completionMessage = document.getElementById('completionMessage');
+    if (completionMessage) completionMessage.textContent = text;
+    this.showReconcileSummary(stillPresent.length > 0 ? ClearTokUtils.getText('reconcileStillPresentTitle') : null, stillPresent);
+    this.addLogEntry(text, stillPresent.length > 0 ? 'warning' : 'success');
+  }
+
+  /**
+   * 重新转发已删除的视频
+   * @param {SessionAuthManager} sessionAuth
+   * @param {string[]|null} urls - 为 null 时恢复本次运行删除的全部视频
+   */
+  async startRestore(sessionAuth, urls = null) {
+    if (this.isProcessing) return;
+
+    const count = urls ? urls.length : this.removedUrls.length;
+    if (count === 0) return;
+
+    this.isProcessing = true;
+    this.isPaused = false;
+    this.restoredVideos = 0;
+    sessionAuth.trackEvent('restore_started', { selected: count, all: !urls });
+
+    this.setState('processing');
+    this.setScanLayout(false);
+    this.updateStatus(ClearTokUtils.getText('statusInitializing'));
+    this.updateProgress(0, count);
+    this.addLogEntry(ClearTokUtils.getText('logStartingRestore', { count: String(count) }), 'info');
+
+    try {
+      await window.messageService.sendToBackground('RESTORE_REPOSTS', urls ? { urls } : {});
+    } catch (error) {
+      this.handleError('Failed to start restoring reposts', error);
+    }
+  }
+
+  /**
+   * 视频已重新转发：从删除列表中移除
+   */
+  markRestored(videoInfo) {
+    this.restoredVideos++;
+    this.removedUrls = this.removedUrls.filter(video => video.url !== videoInfo.url);
+    this.selectedRestoreUrls.delete(videoInfo.url);
+    this.updateRemovedVideosList('removedVideosList', 'removedCount');
+    this.updateRemovedVideosList('removedVideosListComplete', 'removedCountComplete', true);
+  }
+
+  handleRestoreComplete(message, sessionAuth) {
+    this.isProcessing = false;
+    this.isPaused = false;
+    this.setState('complete');
+
+    const restoredCount = message.restoredCount ?? this.restoredVideos;
+    const total = message.totalCount ?? restoredCount;
+    sessionAuth.trackEvent('restore_completed', { reposts_restored: restoredCount, total });
+
+    const summary = ClearTokUtils.getText('restoreCompleteMessage', { count: String(restoredCount), total: String(total) });
+    const completionMessage = document.getElementById('completionMessage');
+    if (completionMessage) completionMessage.textContent = summary;
+    this.updateRemovedVideosList('removedVideosListComplete', 'removedCountComplete', true);
+    this.addLogEntry(summary, 'success');
+    ClearTokUtils.showNotification(summary, 'success');
   }
 
   openVideoInNewTab(url) {
@@ -650,14 +1024,19 @@ class ProcessLoggerManager {
 
   // === 导出功能 ===
 
-  exportRemovedCSV() {
-    if (!this.removedUrls || this.removedUrls.length === 0) {
+  /**
+   * 导出视频清单为 CSV，默认导出已删除列表，也用于导出扫描结果
+   * @param {Array} videos
+   * @param {string} prefix - 文件名前缀
+   */
+  exportRemovedCSV(videos = this.removedUrls, prefix = 'cleartok_removed') {
+    if (!videos || videos.length === 0) {
       ClearTokUtils.showNotification(ClearTokUtils.getText('notificationNoUrls') || 'No removed videos to export', 'info');
       return;
     }
 
     const header = ['username', 'description', 'url', 'videoId'];
-    const rows = this.removedUrls.map(v => {
+    const rows = videos.map(v => {
       const username = (v.author || '').replace(/^@/, '') || '';
       const description = v.title || '';
       const url = v.url || '';
@@ -671,7 +1050,7 @@ class ProcessLoggerManager {
     });
     const csv = ['"' + header.join('","') + '"', ...rows].join('\n');
 
-    const filename = ClearTokUtils.generateExportFileName('cleartok_removed');
+    const filename = ClearTokUtils.generateExportFileName(prefix);
     const success = ClearTokUtils.downloadFile(csv, filename);
 
     if (success) {
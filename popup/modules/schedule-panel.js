@@ -0,0 +1,153 @@
+/**
+ * 定时清理设置模块
+ * 日程由 background 的 Scheduler 保存并通过 chrome.alarms 触发，侧边栏关闭时也会运行
+ */
+
+class SchedulePanelManager {
+  constructor() {
+    this.schedules = [];
+  }
+
+  // === 初始化 ===
+
+  async initializeSchedules() {
+    this.renderDayOptions();
+
+    document.getElementById('addScheduleButton')?.addEventListener('click', () => this.addFromForm());
+
+    // 列表中的启用开关和删除按钮
+    const list = document.getElementById('scheduleList');
+    list?.addEventListener('change', (e) => {
+      const toggle = e.target.closest('[data-schedule-toggle]');
+      if (toggle) this.saveSchedule({ id: toggle.dataset.scheduleToggle, enabled: toggle.checked });
+    });
+    list?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-schedule-delete]');
+      if (button) this.deleteSchedule(button.dataset.scheduleDelete);
+    });
+
+    await this.loadSchedules();
+  }
+
+  // === 数据 ===
+
+  async loadSchedules() {
+    try {
+      this.schedules = await window.messageService.sendToBackground('GET_SCHEDULES') || [];
+    } catch (error) {
+      console.warn('Failed to load schedules:', error);
+      this.schedules = [];
+    }
+    this.renderList();
+  }
+
+  async saveSchedule(schedule) {
+    try {
+      await window.messageService.sendToBackground('SAVE_SCHEDULE', schedule);
+      return true;
+    } catch (error) {
+      console.warn('Failed to save schedule:', error);
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationScheduleSaveFailed'), 'error');
+      return false;
+    } finally {
+      await this.loadSchedules();
+    }
+  }
+
+  async deleteSchedule(id) {
+    try {
+      await window.messageService.sendToBackground('DELETE_SCHEDULE', { id });
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationScheduleDeleted'), 'info');
+    } catch (error) {
+      console.warn('Failed to delete schedule:', error);
+    }
+    await this.loadSchedules();
+  }
+
+  async addFromForm() {
+    const schedule = {
+      enabled: true,
+      day: document.getElementById('scheduleDay')?.value ?? -1,
+      time: document.getElementById('scheduleTime')?.value || '03:00',
+      olderThanDays: document.getElementById('scheduleOlderThan')?.value || 0
+    };
+    if (await this.saveSchedule(schedule)) {
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationScheduleSaved'), 'success');
+    }
+  }
+
+  // === 渲染 ===
+
+  /**
+   * 星期名称按当前界面语言生成（2023-01-01 是周日）
+   */
+  getDayName(day) {
+    if (day < 0) return ClearTokUtils.getText('scheduleEveryDay');
+    const locale = window.i18n?.currentLanguage || undefined;
+    try {
+      return new Date(2023, 0, 1 + day).toLocaleDateString(locale, { weekday: 'long' });
+    } catch (_) {
+      return new Date(2023, 0, 1 + day).toLocaleDateString(undefined, { weekday: 'long' });
+    }
+  }
+
+  renderDayOptions() {
+    const select = document.getElementById('scheduleDay');
+    if (!select) return;
+    const days = [-1, 0, 1, 2, 3, 4, 5, 6];
+    select.innerHTML = days
+      .map(day => `<option value="${day}"${day === 0 ? ' selected' : ''}>${ClearTokUtils.escapeHtml(this.getDayName(day))}</option>`)
+      .join('');
+  }
+
+  describe(schedule) {
+    const when = ClearTokUtils.getText('scheduleWhen', { day: this.getDayName(schedule.day), time: schedule.time });
+    const scope = schedule.olderThanDays > 0
+      ? ClearTokUtils.getText('scheduleOlderThanScope', { days: String(schedule.olderThanDays) })
+      : ClearTokUtils.getText('scheduleAllScope');
+    return `${when} · ${scope}`;
+  }
+
+  renderList() {
+    const list = document.getElementById('scheduleList');
+    if (!list) return;
+
+    const badge = document.getElementById('schedulesSummaryBadge');
+    const activeCount = this.schedules.filter(s => s.enabled).length;
+    if (badge) {
+      badge.textContent = activeCount > 0
+        ? ClearTokUtils.getText('schedulesActiveBadge', { count: String(activeCount) })
+        : ClearTokUtils.getText('schedulesInactiveBadge');
+      badge.classList.toggle('active', activeCount > 0);
+    }
+
+    if (this.schedules.length === 0) {
+      list.innerHTML = `<div class="no-videos">${ClearTokUtils.getText('schedulesEmpty')}</div>`;
+      return;
+    }
+
+    list.innerHTML = this.schedules.map((schedule) => {
+      const id = ClearTokUtils.escapeHtml(schedule.id);
+      const next = schedule.nextRunAt
+        ? ClearTokUtils.getText('scheduleNextRun', { time: new Date(schedule.nextRunAt).toLocaleString() })
+        : '';
+      return `
+        <div class="schedule-entry">
+          <label class="filter-toggle">
+            <input type="checkbox" data-schedule-toggle="${id}" ${schedule.enabled ? 'checked' : ''} />
+            <span>${ClearTokUtils.escapeHtml(this.describe(schedule))}</span>
+          </label>
+          <div class="schedule-entry-meta">${ClearTokUtils.escapeHtml(next)}</div>
+          <button class="export-btn" data-schedule-delete="${id}" title="${ClearTokUtils.getText('scheduleDeleteButton')}">✕</button>
+        </div>
+      `;
+    }).join('');
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SchedulePanelManager;
+} else {
+  window.SchedulePanelManager = SchedulePanelManager;
+}
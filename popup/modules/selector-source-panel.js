@@ -0,0 +1,152 @@
+/**
+ * 选择器来源设置
+ * 可以把更新源改为自己的地址，或从文件导入选择器包；两者都由 background 按远程包的流程校验、安装和健康检查
+ */
+
+class SelectorSourceManager {
+  // === 初始化 ===
+
+  initializeSelectorSource() {
+    const fileInput = document.getElementById('selectorPackFile');
+    document.getElementById('saveSelectorSourceButton')?.addEventListener('click', () => this.saveSource());
+    document.getElementById('importSelectorPackButton')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = '';
+      if (file) this.importPack(file);
+    });
+    document.getElementById('selectorSourceDetails')?.addEventListener('toggle', (e) => {
+      if (e.target.open) this.loadStatus();
+    });
+  }
+
+  // === 数据 ===
+
+  async loadStatus() {
+    try {
+      const { selectorSourceUrl, selectorsMeta, selectorsRejected } = await chrome.storage.local.get([
+        'selectorSourceUrl', 'selectorsMeta', 'selectorsRejected'
+      ]);
+      const input = document.getElementById('selectorSourceUrl');
+      if (input) input.value = selectorSourceUrl || '';
+      this.renderStatus(selectorsMeta, selectorsRejected);
+    } catch (error) {
+      console.warn('Failed to load selector source:', error);
+    }
+  }
+
+  async saveSource() {
+    const url = (document.getElementById('selectorSourceUrl')?.value || '').trim();
+
+    if (url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        parsed = null;
+      }
+      // 与 background 一致只接受 https；其他协议不在 optional_host_permissions 内，申请会直接失败
+      if (!parsed || parsed.protocol !== 'https:') {
+        ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectorSourceInvalid'), 'error');
+        return;
+      }
+      // 必须在点击事件中直接申请，之前不能有 await
+      let granted = false;
+      try {
+        granted = await chrome.permissions.request({ origins: [`${parsed.origin}/*`] });
+      } catch (error) {
+        console.warn('Failed to request selector source permission:', error);
+      }
+      if (!granted) {
+        ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectorSourcePermission'), 'error');
+        return;
+      }
+    }
+
+    await this.runUpdate('SET_SELECTOR_SOURCE', { url }, 'saveSelectorSourceButton');
+  }
+
+  async importPack(file) {
+    let pack;
+    try {
+      pack = JSON.parse(await file.text());
+    } catch (error) {
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectorPackUnreadable'), 'error');
+      return;
+    }
+    await this.runUpdate('IMPORT_SELECTOR_PACK', { pack, fileName: file.name }, 'importSelectorPackButton');
+  }
+
+  async runUpdate(type, payload, buttonId) {
+    const button = document.getElementById(buttonId);
+    if (button) button.disabled = true;
+    try {
+      const result = await window.messageService.sendToBackground(type, payload);
+      this.notifyResult(result);
+    } catch (error) {
+      console.warn(`Failed to update selectors (${type}):`, error);
+      ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectorUpdateFailed', {
+        reason: error.message || String(error)
+      }), 'error');
+    } finally {
+      if (button) button.disabled = false;
+      await this.loadStatus();
+    }
+  }
+
+  notifyResult(result) {
+    const version = String(result?.version || '');
+    const reason = result?.reason || '';
+    switch (result?.status) {
+      case 'verified':
+        ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectorPackInstalled', { version }), 'success');
+        break;
+      case 'pending':
+        ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectorPackPending', { version }), 'success');
+        break;
+      case 'up-to-date':
+        ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectorPackUpToDate', { version }), 'info');
+        break;
+      case 'rolled_back':
+        ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectorPackRolledBack', { version }), 'error');
+        break;
+      case 'rejected':
+        ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectorPackRejected', { version, reason }), 'error');
+        break;
+      default:
+        ClearTokUtils.showNotification(ClearTokUtils.getText('notificationSelectorUpdateFailed', { reason }), 'error');
+    }
+  }
+
+  // === 渲染 ===
+
+  renderStatus(meta, rejected) {
+    const status = document.getElementById('selectorSourceStatus');
+    if (!status) return;
+
+    const lines = [];
+    if (meta?.version) {
+      lines.push(ClearTokUtils.getText('selectorSourceCurrent', {
+        version: String(meta.version),
+        source: meta.source || 'official',
+        status: meta.status || 'verified'
+      }));
+    } else {
+      lines.push(ClearTokUtils.getText('selectorSourceFallback'));
+    }
+    if (rejected?.version) {
+      lines.push(ClearTokUtils.getText('selectorSourceRejected', {
+        version: String(rejected.version),
+        reason: rejected.reason || ''
+      }));
+    }
+    status.innerHTML = lines.map(line => `<div>${ClearTokUtils.escapeHtml(line)}</div>`).join('');
+  }
+}
+
+// 导出类
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectorSourceManager;
+} else {
+  window.SelectorSourceManager = SelectorSourceManager;
+}
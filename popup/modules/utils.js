@@ -6,9 +6,15 @@
 const CONSTANTS = {
   SESSION_EXPIRY_TIME: 60 * 60 * 1000 * 24, // 24小时过期
   SESSION_STORAGE_KEY: 'clearTokSessionData',
+  FILTERS_STORAGE_KEY: 'removalFilters', // 与 modules/filters.js 保持一致
+  SPEED_PROFILE_STORAGE_KEY: 'speedProfile', // 与 modules/throttle.js 保持一致
+  NAVIGATION_MODE_STORAGE_KEY: 'navigationMode', // 与 modules/workflow.js 保持一致
+  SELECTOR_OVERRIDES_STORAGE_KEY: 'selectorOverrides', // 与 modules/config.js 保持一致
+  ACCOUNTS_STORAGE_KEY: 'cleartokAccounts', // 与 background.js 的 AccountManager 保持一致
   LOGIN_PORTAL_URL: 'https://tiktokrepostremover.com/login?source=extension',
   MAX_ACCOUNT_POLLING_ATTEMPTS: 24, // 2 minutes @ 5s interval
   MAX_LOG_ENTRIES: 150,
+  REMOVED_PAGE_SIZE: 50, // 完成页每次从 background 读取的已删除条目数
   TYPEWRITER_SPEED: 25, // 打字机速度
   NOTIFICATION_DURATION: 3000 // 通知显示时间
 };